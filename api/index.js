@@ -15,6 +15,14 @@ const categoryRoutes = require('../routes/categories');
 const contactRoutes = require('../routes/contact');
 const messageRoutes = require('../routes/messages');
 const dashboardRoutes = require('../routes/dashboard');
+const userRoutes = require('../routes/users');
+const apiKeyRoutes = require('../routes/apiKeys');
+const inventoryRoutes = require('../routes/inventory');
+const lotRoutes = require('../routes/lots');
+const importRoutes = require('../routes/import');
+const searchRoutes = require('../routes/search');
+const { apiKeyAuth } = require('../middleware/auth');
+const { negotiateLanguage } = require('../middleware/language');
 
 const app = express();
 
@@ -25,9 +33,12 @@ app.use(helmet());
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  skip: (req) => Boolean(req.apiKey) // API keys have their own per-key limit
 });
-app.use('/api/', limiter);
+
+// Response language for localized content (lang query parameter or Accept-Language)
+app.use('/api/', negotiateLanguage);
 
 // CORS configuration
 app.use(cors({
@@ -86,6 +97,9 @@ app.use(async (req, res, next) => {
   }
 });
 
+// API keys are looked up in the database, so they are checked once it is connected
+app.use('/api/', apiKeyAuth, limiter);
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
@@ -95,6 +109,12 @@ app.use('/api/categories', categoryRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/lots', lotRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/search', searchRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -121,7 +141,13 @@ app.get('/', (req, res) => {
       categories: '/api/categories',
       contact: '/api/contact',
       messages: '/api/messages',
-      dashboard: '/api/dashboard'
+      dashboard: '/api/dashboard',
+      users: '/api/users',
+      apiKeys: '/api/api-keys',
+      inventory: '/api/inventory',
+      lots: '/api/lots',
+      import: '/api/import',
+      search: '/api/search'
     }
   });
 });
@@ -86,6 +86,17 @@ const deleteImage = async (publicId) => {
   }
 };
 
+// Helper function to delete several images, logging failures instead of throwing
+const deleteImages = async (publicIds) => {
+  await Promise.all(publicIds.filter(Boolean).map(async (publicId) => {
+    try {
+      await deleteImage(publicId);
+    } catch (error) {
+      console.error(`Error deleting image ${publicId}:`, error);
+    }
+  }));
+};
+
 // Helper function to extract public ID from Cloudinary URL
 const extractPublicId = (url) => {
   try {
@@ -116,5 +127,6 @@ module.exports = {
   uploadCertificate,
   uploadTeam,
   deleteImage,
+  deleteImages,
   extractPublicId
 };
\ No newline at end of file
@@ -0,0 +1,93 @@
+const { pipeline } = require('stream/promises');
+const { stringify } = require('csv-stringify');
+const ExcelJS = require('exceljs');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('./i18n');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'ndjson'];
+
+// Export columns for the translations of localized fields (name_ar, description_ar, ...)
+const translationColumns = (fields) => {
+  return Object.fromEntries(LANGUAGES.filter(lang => lang !== DEFAULT_LANGUAGE).flatMap(lang => fields.map(field => [
+    `${field}_${lang}`,
+    doc => doc.get(`translations.${lang}.${field}`)
+  ])));
+};
+
+// Pick the requested columns ("name,price,category") from the available ones in the
+// requested order, every column by default. Returns { columns, unknown }.
+const selectColumns = (value, available) => {
+  const requested = String(value || '').split(',').map(column => column.trim()).filter(Boolean);
+
+  if (!requested.length) {
+    return { columns: Object.keys(available), unknown: [] };
+  }
+
+  return {
+    columns: [...new Set(requested.filter(column => available[column]))],
+    unknown: requested.filter(column => !available[column])
+  };
+};
+
+// Spreadsheet cell value, lists are joined the way the import splits them
+const toCell = (value) => {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return value.join(', ');
+  if (value instanceof Date || typeof value === 'number' || typeof value === 'boolean') return value;
+  return String(value);
+};
+
+const toText = (value) => {
+  const cell = toCell(value);
+  if (cell === null) return '';
+  return cell instanceof Date ? cell.toISOString() : String(cell);
+};
+
+// Stream the documents of a query cursor to the response as a file download.
+// available maps column names to value getters, columns is the selection to write.
+const streamExport = async (res, cursor, { format, columns, available, filename }) => {
+  const rows = async function* () {
+    for await (const doc of cursor) {
+      yield columns.map(column => available[column](doc));
+    }
+  };
+
+  res.attachment(`${filename}.${format}`);
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+    const worksheet = workbook.addWorksheet(filename);
+    worksheet.columns = columns.map(column => ({ header: column, key: column }));
+
+    for await (const values of rows()) {
+      worksheet.addRow(values.map(toCell)).commit();
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+    return;
+  }
+
+  if (format === 'ndjson') {
+    res.type('application/x-ndjson');
+    await pipeline(rows(), async function* (source) {
+      for await (const values of source) {
+        yield `${JSON.stringify(Object.fromEntries(columns.map((column, index) => [column, values[index] ?? null])))}\n`;
+      }
+    }, res);
+    return;
+  }
+
+  // CSV with a byte order mark so that spreadsheet programs read Arabic text as UTF-8
+  await pipeline(rows(), async function* (source) {
+    for await (const values of source) {
+      yield values.map(toText);
+    }
+  }, stringify({ header: true, columns, bom: true }), res);
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  translationColumns,
+  selectColumns,
+  streamExport
+};
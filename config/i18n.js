@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+
+// Content languages. The base fields of a document (name, description, ...) hold the
+// DEFAULT_LANGUAGE content, translations.<lang> holds the localized values.
+const LANGUAGES = ['en', 'ar'];
+const DEFAULT_LANGUAGE = LANGUAGES.includes(process.env.DEFAULT_LANGUAGE) ? process.env.DEFAULT_LANGUAGE : 'en';
+
+// MongoDB text search language per content language, Arabic is not supported by the
+// community server so it is indexed without stemming or stop words
+const TEXT_SEARCH_LANGUAGES = {
+  en: 'english',
+  ar: 'none'
+};
+
+// Build the translations path of a schema, one optional sub-document per language
+const translationsField = (fields) => {
+  const languageSchema = new mongoose.Schema(fields, { _id: false });
+  return Object.fromEntries(LANGUAGES.map(lang => [lang, { type: languageSchema }]));
+};
+
+// Text index definition for the localized fields of every language
+const localizedTextIndex = (fields) => {
+  return Object.fromEntries(LANGUAGES.flatMap(lang => fields.map(field => [`translations.${lang}.${field}`, 'text'])));
+};
+
+// Options for a text index covering the base fields and every language
+const textIndexOptions = (name) => ({
+  name,
+  default_language: TEXT_SEARCH_LANGUAGES[DEFAULT_LANGUAGE],
+  language_override: 'textSearchLanguage' // documents have no per-document language
+});
+
+// $text query for a search term in the given language
+const textSearch = (search, lang) => ({
+  $search: search,
+  $language: TEXT_SEARCH_LANGUAGES[lang] || TEXT_SEARCH_LANGUAGES[DEFAULT_LANGUAGE]
+});
+
+// Pick the response language from the lang query parameter, then the Accept-Language header,
+// falling back to the default language
+const resolveLanguage = (req) => {
+  const requested = String(req.query.lang || '').toLowerCase();
+
+  if (LANGUAGES.includes(requested)) {
+    return requested;
+  }
+
+  const accepted = String(req.get('Accept-Language') || '')
+    .split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return {
+        lang: tag.trim().toLowerCase().split('-')[0],
+        q: quality ? parseFloat(quality.slice(2)) : 1
+      };
+    })
+    .filter(item => LANGUAGES.includes(item.lang) && item.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  return accepted.length ? accepted[0].lang : DEFAULT_LANGUAGE;
+};
+
+// Return a plain copy of a document with its localized fields in the given language.
+// Missing translations fall back to the base (default language) value.
+const localize = (doc, fields, lang) => {
+  const data = typeof doc.toObject === 'function' ? doc.toObject() : { ...doc };
+  const translation = (data.translations && data.translations[lang]) || {};
+
+  fields.forEach(field => {
+    if (translation[field]) {
+      data[field] = translation[field];
+    }
+  });
+
+  return data;
+};
+
+// Parse translations sent as an object or a JSON string (multipart forms), keeping only
+// supported languages and the given fields. Returns null when the value is not valid.
+const parseTranslations = (value, fields) => {
+  let translations = value;
+
+  if (typeof value === 'string') {
+    try {
+      translations = JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+    return null;
+  }
+
+  const parsed = {};
+
+  for (const [lang, values] of Object.entries(translations)) {
+    if (!LANGUAGES.includes(lang)) continue;
+
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return null;
+    }
+
+    parsed[lang] = {};
+    fields.forEach(field => {
+      if (values[field] !== undefined) parsed[lang][field] = values[field];
+    });
+  }
+
+  return parsed;
+};
+
+// Merge parsed translations into a document, an empty value removes the translation
+const applyTranslations = (doc, translations) => {
+  Object.entries(translations).forEach(([lang, values]) => {
+    Object.entries(values).forEach(([field, value]) => {
+      doc.set(`translations.${lang}.${field}`, value === '' || value === null ? undefined : value);
+    });
+  });
+};
+
+// Marks ignored by search: Latin accents and Arabic harakat, hamza marks, superscript alef
+// and tatweel
+const SEARCH_MARKS = '\u0300-\u036f\u064B-\u065F\u0670\u0640';
+
+// Normalize text for matching: lowercase without marks, Arabic letter variants folded
+// (alef forms to ا, ة to ه, ى to ي) and whitespace collapsed
+const normalizeSearchText = (text) => {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(new RegExp(`[${SEARCH_MARKS}]`, 'g'), '')
+    .replace(/ٱ/g, 'ا')
+    .replace(/ة/g, 'ه')
+    .replace(/ى/g, 'ي')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Letters that normalize to the same base letter, stored text may use any of them
+const LETTER_VARIANTS = [...'àáâãäåçèéêëìíîïñòóôõöùúûüýÿأإآٱؤئىة'].reduce((variants, letter) => {
+  const base = normalizeSearchText(letter);
+  variants[base] = (variants[base] || base) + letter;
+  return variants;
+}, {});
+
+// Regex source matching text the way normalizeSearchText compares it: any letter variant,
+// optional marks after every letter. Literal characters keep it valid for MongoDB $regex.
+const searchPattern = (text) => {
+  return [...normalizeSearchText(text)].map(char => {
+    if (char === ' ') return '\\s+';
+
+    const letters = LETTER_VARIANTS[char];
+    const letter = letters ? `[${letters}]` : char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return `${letter}[${SEARCH_MARKS}]*`;
+  }).join('');
+};
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  translationsField,
+  localizedTextIndex,
+  textIndexOptions,
+  textSearch,
+  resolveLanguage,
+  localize,
+  parseTranslations,
+  applyTranslations,
+  normalizeSearchText,
+  searchPattern
+};
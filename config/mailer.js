@@ -0,0 +1,79 @@
+const nodemailer = require('nodemailer');
+const fs = require('fs');
+const path = require('path');
+
+// Mail transport is selected with MAIL_TRANSPORT:
+//   smtp    - deliver through the SMTP server configured with SMTP_* variables
+//   file    - write every message as an .eml file to MAIL_OUTPUT_DIR (local testing)
+//   console - print the recipient and subject of every message to the console, the body is
+//             never printed because it carries password reset links (default outside production)
+// Production requires the smtp transport, so that reset emails are actually delivered.
+// Without it the rest of the API keeps working and sending mail fails with status 503.
+const isProduction = process.env.NODE_ENV === 'production';
+const transportType = (process.env.MAIL_TRANSPORT || (isProduction ? '' : 'console')).toLowerCase();
+const configError = isProduction && (transportType !== 'smtp' || !process.env.SMTP_HOST)
+  ? 'MAIL_TRANSPORT=smtp and SMTP_HOST must be set in production'
+  : null;
+
+if (configError) {
+  console.warn(`Email is disabled: ${configError}`);
+}
+
+const createTransport = () => {
+  switch (transportType) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASSWORD
+        } : undefined
+      });
+    case 'file':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true });
+    case 'console':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown mail transport: ${transportType}`);
+  }
+};
+
+const transporter = configError ? null : createTransport();
+
+// Whether emails can be sent with the current configuration
+const isMailConfigured = () => !configError;
+
+// Helper function to send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  if (configError) {
+    throw Object.assign(new Error(`Email is not configured: ${configError}`), { status: 503 });
+  }
+
+  const info = await transporter.sendMail({
+    from: process.env.MAIL_FROM || 'Herbs Dashboard <no-reply@herbs.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (transportType === 'file') {
+    const outputDir = process.env.MAIL_OUTPUT_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+    await fs.promises.mkdir(outputDir, { recursive: true });
+
+    const filename = `${Date.now()}-${to.replace(/[^a-z0-9]/gi, '_')}.eml`;
+    await fs.promises.writeFile(path.join(outputDir, filename), info.message);
+    console.log(`Email to ${to} written to ${path.join(outputDir, filename)}`);
+  } else if (transportType === 'console') {
+    console.log(`Email to ${to}: ${subject} (body not shown, use MAIL_TRANSPORT=file to read it)`);
+  }
+
+  return info;
+};
+
+module.exports = {
+  isMailConfigured,
+  sendMail
+};
@@ -0,0 +1,93 @@
+// Password policy, configurable through environment variables:
+//   PASSWORD_MIN_LENGTH        minimum length (default 8)
+//   PASSWORD_REQUIRE_UPPERCASE require an uppercase letter (default true)
+//   PASSWORD_REQUIRE_LOWERCASE require a lowercase letter (default true)
+//   PASSWORD_REQUIRE_NUMBER    require a digit (default true)
+//   PASSWORD_REQUIRE_SYMBOL    require a non-alphanumeric character (default false)
+//   PASSWORD_MAX_AGE_DAYS      days before a password must be changed, 0 disables (default 0).
+//                              Accounts that never changed their password count from their
+//                              creation, so enabling it expires every older password at once.
+//   PASSWORD_HISTORY_COUNT     previous passwords that cannot be reused (default 5)
+
+const flag = (value, defaultValue) => {
+  return value === undefined ? defaultValue : value === 'true';
+};
+
+const number = (value, defaultValue) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? defaultValue : parsed;
+};
+
+const policy = {
+  minLength: number(process.env.PASSWORD_MIN_LENGTH, 8),
+  requireUppercase: flag(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+  requireLowercase: flag(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+  requireNumber: flag(process.env.PASSWORD_REQUIRE_NUMBER, true),
+  requireSymbol: flag(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+  maxAgeDays: number(process.env.PASSWORD_MAX_AGE_DAYS, 0),
+  historyCount: number(process.env.PASSWORD_HISTORY_COUNT, 5)
+};
+
+// Passwords that are rejected regardless of the other rules (compared case-insensitively)
+const commonPasswords = new Set([
+  '123456', '1234567', '12345678', '123456789', '1234567890', '12345678910',
+  'password', 'password1', 'password12', 'password123', 'passw0rd', 'p@ssw0rd', 'p@ssword1',
+  'qwerty', 'qwerty123', 'qwertyuiop', 'qwerty1234', 'abc123', 'abcd1234', 'abc12345',
+  'admin', 'admin123', 'admin1234', 'admin12345', 'administrator', 'root1234',
+  'welcome', 'welcome1', 'welcome123', 'letmein', 'letmein1', 'iloveyou', 'iloveyou1',
+  'monkey123', 'dragon123', 'sunshine1', 'princess1', 'football1', 'baseball1',
+  'changeme', 'changeme1', 'changeme123', 'default1', 'test1234', 'test12345',
+  'secret123', 'master123', 'trustno1', 'superman1', 'starwars1', 'zaq12wsx',
+  '1q2w3e4r', '1q2w3e4r5t', 'asdf1234', 'asdfghjkl', 'aa123456', 'a1234567',
+  'herbs123', 'herbs1234', 'dashboard1', 'dashboard123'
+]);
+
+// Check a plain-text password against the policy.
+// Returns a list of { code, message } violations, empty when the password is acceptable.
+const validatePassword = (password, { email } = {}) => {
+  const violations = [];
+  const value = String(password || '');
+
+  if (value.length < policy.minLength) {
+    violations.push({ code: 'too_short', message: `Password must be at least ${policy.minLength} characters long` });
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    violations.push({ code: 'missing_uppercase', message: 'Password must contain an uppercase letter' });
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    violations.push({ code: 'missing_lowercase', message: 'Password must contain a lowercase letter' });
+  }
+
+  if (policy.requireNumber && !/[0-9]/.test(value)) {
+    violations.push({ code: 'missing_number', message: 'Password must contain a number' });
+  }
+
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    violations.push({ code: 'missing_symbol', message: 'Password must contain a symbol' });
+  }
+
+  if (commonPasswords.has(value.toLowerCase())) {
+    violations.push({ code: 'too_common', message: 'Password is too common' });
+  }
+
+  const emailName = email && email.split('@')[0].toLowerCase();
+  if (emailName && emailName.length >= 3 && value.toLowerCase().includes(emailName)) {
+    violations.push({ code: 'contains_email', message: 'Password must not contain your email name' });
+  }
+
+  return violations;
+};
+
+// Check whether a password set at the given date has exceeded the maximum age
+const isPasswordExpired = (changedAt) => {
+  if (!policy.maxAgeDays || !changedAt) return false;
+  return Date.now() - new Date(changedAt).getTime() > policy.maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+module.exports = {
+  policy,
+  validatePassword,
+  isPasswordExpired
+};
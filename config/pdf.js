@@ -0,0 +1,245 @@
+const PDFDocument = require('pdfkit');
+
+// Company details printed in the header of generated PDFs (COMPANY_* variables)
+const COMPANY = {
+  name: process.env.COMPANY_NAME || 'Herbs Dashboard',
+  address: process.env.COMPANY_ADDRESS,
+  phone: process.env.COMPANY_PHONE,
+  email: process.env.COMPANY_EMAIL,
+  website: process.env.COMPANY_WEBSITE,
+  logoUrl: process.env.COMPANY_LOGO_URL
+};
+
+// The built-in PDF fonts only cover Latin text. PDF_FONT and PDF_FONT_BOLD point to TrueType
+// fonts to use instead, needed to render other languages such as Arabic.
+const FONTS = {
+  regular: process.env.PDF_FONT || 'Helvetica',
+  bold: process.env.PDF_FONT_BOLD || process.env.PDF_FONT || 'Helvetica-Bold'
+};
+
+const COLORS = {
+  text: '#222222',
+  muted: '#666666',
+  accent: '#2f6b3a',
+  border: '#cccccc',
+  shade: '#eef3ee'
+};
+
+const IMAGE_TIMEOUT = 10000;
+
+// Language PDFs are written in, English unless fonts for other languages are configured
+const pdfLanguage = (lang) => process.env.PDF_FONT ? lang : 'en';
+
+// Download an image to embed in a PDF, which only supports JPEG and PNG, so Cloudinary images
+// are requested as JPEG. Returns a Buffer or null when the image cannot be used.
+const fetchImage = async (url, width = 600) => {
+  if (!url) return null;
+
+  try {
+    const source = url.includes('res.cloudinary.com') ? url.replace('/upload/', `/upload/f_jpg,w_${width}/`) : url;
+    const response = await fetch(source, { signal: AbortSignal.timeout(IMAGE_TIMEOUT) });
+
+    if (!response.ok) return null;
+
+    const image = Buffer.from(await response.arrayBuffer());
+    const isJpeg = image[0] === 0xff && image[1] === 0xd8;
+    const isPng = image.subarray(0, 4).toString('hex') === '89504e47';
+
+    return isJpeg || isPng ? image : null;
+  } catch (error) {
+    console.error(`Error fetching image ${url}:`, error.message);
+    return null;
+  }
+};
+
+// Company logo, downloaded once. A failed download is tried again for the next document.
+let logoRequest = null;
+const companyLogo = () => {
+  if (!logoRequest) {
+    logoRequest = fetchImage(COMPANY.logoUrl, 300).then(logo => {
+      if (!logo) logoRequest = null;
+      return logo;
+    });
+  }
+  return logoRequest;
+};
+
+const drawHeader = (doc, logo) => {
+  const { left, right, top } = doc.page.margins;
+  const width = doc.page.width - left - right;
+  const contact = [COMPANY.address, COMPANY.phone, COMPANY.email, COMPANY.website].filter(Boolean).join('  |  ');
+
+  if (logo) {
+    doc.image(logo, left, top, { fit: [120, 40] });
+  }
+
+  doc.font(FONTS.bold).fontSize(14).fillColor(COLORS.accent)
+    .text(COMPANY.name, left, top, { width, align: 'right' });
+
+  if (contact) {
+    doc.font(FONTS.regular).fontSize(8).fillColor(COLORS.muted)
+      .text(contact, left, doc.y + 2, { width, align: 'right' });
+  }
+
+  const lineY = Math.max(doc.y, top + 40) + 8;
+  doc.moveTo(left, lineY).lineTo(left + width, lineY).lineWidth(1).strokeColor(COLORS.accent).stroke();
+
+  doc.font(FONTS.regular).fontSize(10).fillColor(COLORS.text);
+  doc.x = left;
+  doc.y = lineY + 15;
+};
+
+// Page numbers and generation date at the bottom of every page
+const drawFooters = (doc) => {
+  const range = doc.bufferedPageRange();
+  const generated = `Generated ${new Date().toISOString().slice(0, 10)}`;
+
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+
+    const { left, right, bottom } = doc.page.margins;
+    const width = doc.page.width - left - right;
+    const y = doc.page.height - bottom + 15;
+
+    // Writing inside the bottom margin would otherwise start a new page
+    doc.page.margins.bottom = 0;
+    doc.font(FONTS.regular).fontSize(8).fillColor(COLORS.muted);
+    doc.text(generated, left, y, { width, align: 'left', lineBreak: false });
+    doc.text(`Page ${index + 1} of ${range.count}`, left, y, { width, align: 'right', lineBreak: false });
+    doc.page.margins.bottom = bottom;
+  }
+};
+
+// Start an A4 PDF download with the company header on every page. Returns the document,
+// finish it with endDocument once everything is written.
+const createDocument = async (res, { title, filename }) => {
+  const logo = await companyLogo();
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    bufferPages: true,
+    info: { Title: title, Author: COMPANY.name }
+  });
+
+  doc.on('pageAdded', () => drawHeader(doc, logo));
+  drawHeader(doc, logo);
+
+  res.type('application/pdf');
+  res.attachment(`${filename}.pdf`);
+  doc.pipe(res);
+
+  return doc;
+};
+
+const endDocument = (doc) => {
+  drawFooters(doc);
+  doc.end();
+};
+
+// Start a new page when less than height is left on the current one
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+};
+
+const heading = (doc, text, size = 12) => {
+  ensureSpace(doc, size * 3);
+  doc.moveDown(0.5);
+  doc.font(FONTS.bold).fontSize(size).fillColor(COLORS.accent)
+    .text(text, doc.page.margins.left, doc.y);
+  doc.moveDown(0.3);
+  doc.font(FONTS.regular).fontSize(10).fillColor(COLORS.text);
+};
+
+// Section of label and value pairs, pairs without a value are left out and the section is
+// skipped when none has one
+const fieldSection = (doc, title, fields, { labelWidth = 150 } = {}) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const present = fields.filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+  if (!present.length) return;
+
+  heading(doc, title);
+
+  present.forEach(([label, value]) => {
+    const text = String(value);
+    doc.font(FONTS.regular).fontSize(10);
+    ensureSpace(doc, doc.heightOfString(text, { width: width - labelWidth }) + 4);
+
+    const y = doc.y;
+    doc.font(FONTS.bold).fillColor(COLORS.muted).text(label, left, y, { width: labelWidth - 10 });
+    doc.font(FONTS.regular).fillColor(COLORS.text).text(text, left + labelWidth, y, { width: width - labelWidth });
+    doc.y = Math.max(doc.y, y) + 4;
+  });
+
+  doc.x = left;
+};
+
+// Table with a shaded header row that is repeated on every page.
+// columns: [{ header, width (share of the page width), align }], rows: arrays of cell values.
+const table = (doc, columns, rows) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const total = columns.reduce((sum, column) => sum + column.width, 0);
+  const widths = columns.map(column => column.width / total * width);
+  const padding = 4;
+
+  const rowHeight = (cells, font) => {
+    doc.font(font).fontSize(9);
+    return Math.max(...cells.map((cell, index) => {
+      return doc.heightOfString(cell, { width: widths[index] - padding * 2 });
+    })) + padding * 2;
+  };
+
+  const drawRow = (cells, { font = FONTS.regular, shade = false } = {}) => {
+    const height = rowHeight(cells, font);
+    const y = doc.y;
+    if (shade) {
+      doc.rect(left, y, width, height).fillColor(COLORS.shade).fill();
+    }
+
+    let x = left;
+    cells.forEach((cell, index) => {
+      doc.fillColor(COLORS.text).text(cell, x + padding, y + padding, {
+        width: widths[index] - padding * 2,
+        align: columns[index].align || 'left'
+      });
+      x += widths[index];
+    });
+
+    doc.moveTo(left, y + height).lineTo(left + width, y + height).lineWidth(0.5).strokeColor(COLORS.border).stroke();
+    doc.y = y + height;
+  };
+
+  const headers = columns.map(column => column.header);
+  ensureSpace(doc, 40);
+  drawRow(headers, { font: FONTS.bold, shade: true });
+
+  rows.forEach(row => {
+    const cells = row.map(cell => cell === undefined || cell === null ? '' : String(cell));
+    if (doc.y + rowHeight(cells, FONTS.regular) > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      drawRow(headers, { font: FONTS.bold, shade: true });
+    }
+    drawRow(cells);
+  });
+
+  doc.x = left;
+  doc.font(FONTS.regular).fontSize(10).fillColor(COLORS.text);
+};
+
+module.exports = {
+  COMPANY,
+  FONTS,
+  COLORS,
+  pdfLanguage,
+  fetchImage,
+  createDocument,
+  endDocument,
+  ensureSpace,
+  heading,
+  fieldSection,
+  table
+};
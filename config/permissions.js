@@ -0,0 +1,50 @@
+// Role-based permission matrix for the dashboard.
+// Permissions are expressed as "<resource>:<action>", e.g. "products:update".
+
+const ROLES = ['admin', 'editor', 'support-agent', 'viewer'];
+const RESOURCES = ['products', 'certificates', 'team', 'categories', 'contact', 'messages'];
+const ACTIONS = ['read', 'create', 'update', 'delete'];
+
+// Build a resource -> actions map granting the same actions on every resource
+const grantAll = (actions) => {
+  return RESOURCES.reduce((matrix, resource) => {
+    matrix[resource] = actions;
+    return matrix;
+  }, {});
+};
+
+const permissionMatrix = {
+  admin: grantAll(ACTIONS),
+  editor: {
+    ...grantAll(ACTIONS),
+    messages: ['read']
+  },
+  'support-agent': {
+    ...grantAll(['read']),
+    contact: ['read', 'update'],
+    messages: ['read', 'update', 'delete']
+  },
+  viewer: grantAll(['read'])
+};
+
+// Check whether a role grants a "<resource>:<action>" permission
+const hasPermission = (role, permission) => {
+  const [resource, action] = permission.split(':');
+  const actions = permissionMatrix[role]?.[resource];
+  return Boolean(actions && actions.includes(action));
+};
+
+// List every permission granted to a role
+const getPermissions = (role) => {
+  const matrix = permissionMatrix[role] || {};
+  return Object.keys(matrix).flatMap(resource => matrix[resource].map(action => `${resource}:${action}`));
+};
+
+module.exports = {
+  ROLES,
+  RESOURCES,
+  ACTIONS,
+  permissionMatrix,
+  hasPermission,
+  getPermissions
+};
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Multi-document transactions need MongoDB to run as a replica set or a sharded cluster.
+// A single node replica set is enough: start mongod with --replSet rs0, run rs.initiate()
+// once and add ?replicaSet=rs0 to MONGODB_URI. A standalone server rejects transactions.
+const isTransactionUnsupported = (error) => {
+  return error.code === 20 || /Transaction numbers are only allowed/.test(error.message);
+};
+
+// Run work(session) in a transaction. The work is retried from scratch on transient errors.
+// On a standalone server it throws an error with status 503, or with required: false runs
+// work(null) without a transaction, leaving the caller to undo partial writes.
+const withTransaction = async (work, { required = true } = {}) => {
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error;
+
+    if (required) {
+      throw Object.assign(new Error('This operation needs MongoDB to run as a replica set, transactions are not supported by this server'), { status: 503 });
+    }
+  } finally {
+    await session.endSession();
+  }
+
+  return work(null);
+};
+
+module.exports = {
+  withTransaction
+};
@@ -15,6 +15,15 @@ const categoryRoutes = require('./routes/categories');
 const contactRoutes = require('./routes/contact');
 const messageRoutes = require('./routes/messages');
 const dashboardRoutes = require('./routes/dashboard');
+const userRoutes = require('./routes/users');
+const apiKeyRoutes = require('./routes/apiKeys');
+const inventoryRoutes = require('./routes/inventory');
+const lotRoutes = require('./routes/lots');
+const importRoutes = require('./routes/import');
+const searchRoutes = require('./routes/search');
+const { apiKeyAuth } = require('./middleware/auth');
+const { negotiateLanguage } = require('./middleware/language');
+const { schedulePurge } = require('./jobs/purgeTrash');
 
 const app = express();
 
@@ -25,9 +34,13 @@ app.use(helmet());
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  skip: (req) => Boolean(req.apiKey) // API keys have their own per-key limit
 });
-app.use('/api/', limiter);
+app.use('/api/', apiKeyAuth, limiter);
+
+// Response language for localized content (lang query parameter or Accept-Language)
+app.use('/api/', negotiateLanguage);
 
 // CORS configuration
 app.use(cors({
@@ -49,6 +62,9 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/herbs-das
 })
 .then(() => {
   console.log('Connected to MongoDB');
+
+  // Hard delete trashed documents past the retention window once a day
+  schedulePurge();
 })
 .catch((error) => {
   console.error('MongoDB connection error:', error);
@@ -64,6 +80,12 @@ app.use('/api/categories', categoryRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/lots', lotRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/search', searchRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Certificate = require('../models/Certificate');
+const TeamMember = require('../models/TeamMember');
+const Category = require('../models/Category');
+const Contact = require('../models/Contact');
+const Message = require('../models/Message');
+const Revision = require('../models/Revision');
+const Lot = require('../models/Lot');
+const StockMovement = require('../models/StockMovement');
+const { deleteImages } = require('../config/cloudinary');
+require('dotenv').config();
+
+// Days a deleted document stays in the trash before it is purged (TRASH_RETENTION_DAYS)
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Date a document deleted at deletedAt will be purged
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Cloudinary images, revision history and references removed together with a purged document
+const cleanups = {
+  Product: async (product) => {
+    product.ensureGallery();
+    const revisionImages = await Revision.imagePublicIds('Product', product._id);
+    await deleteImages([...new Set([...product.images.map(image => image.publicId), ...revisionImages])]);
+    await Revision.deleteMany({ resourceType: 'Product', resource: product._id });
+    await Lot.deleteMany({ product: product._id });
+    // The model refuses to delete ledger entries, they go with their product only
+    await StockMovement.collection.deleteMany({ product: product._id });
+  },
+  Certificate: async (certificate) => {
+    const revisionImages = await Revision.imagePublicIds('Certificate', certificate._id);
+    await deleteImages([...new Set([certificate.imagePublicId, ...revisionImages])]);
+    await Revision.deleteMany({ resourceType: 'Certificate', resource: certificate._id });
+    await Product.updateMany({ certifications: certificate._id }, { $pull: { certifications: certificate._id } }).withDeleted();
+  },
+  TeamMember: async (teamMember) => {
+    await deleteImages([teamMember.imagePublicId]);
+  }
+};
+
+// Hard delete every document that has been in the trash longer than the retention window.
+// Returns the number of purged documents per model.
+const purgeTrash = async ({ retentionDays = RETENTION_DAYS } = {}) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const results = {};
+
+  for (const model of [Product, Certificate, TeamMember, Category, Contact, Message]) {
+    const expired = await model.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+    for (const doc of expired) {
+      try {
+        if (cleanups[model.modelName]) {
+          await cleanups[model.modelName](doc);
+        }
+        await model.deleteOne({ _id: doc._id });
+      } catch (error) {
+        console.error(`Error purging ${model.modelName} ${doc._id}:`, error);
+      }
+    }
+
+    results[model.modelName] = expired.length;
+  }
+
+  return results;
+};
+
+// Run the purge on an interval inside a long-running server
+const schedulePurge = (intervalMs = 24 * 60 * 60 * 1000) => {
+  const run = () => {
+    purgeTrash()
+      .then(results => console.log('Trash purged:', results))
+      .catch(error => console.error('Trash purge error:', error));
+  };
+
+  run();
+  setInterval(run, intervalMs).unref();
+};
+
+// Allow running the purge from the command line (npm run purge-trash)
+if (require.main === module) {
+  (async () => {
+    try {
+      // Connect to MongoDB
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/herbs-dashboard', {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+
+      console.log('Connected to MongoDB');
+
+      const results = await purgeTrash();
+      console.log(`Purged documents deleted more than ${RETENTION_DAYS} days ago:`, results);
+
+    } catch (error) {
+      console.error('Error purging trash:', error);
+    } finally {
+      mongoose.connection.close();
+    }
+  })();
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  purgeDate,
+  purgeTrash,
+  schedulePurge
+};
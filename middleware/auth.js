@@ -1,8 +1,76 @@
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const ApiKey = require('../models/ApiKey');
+const Session = require('../models/Session');
+const { hasPermission } = require('../config/permissions');
 
-const auth = async (req, res, next) => {
+// Per-key rate limiting, each API key has its own requests-per-minute budget
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.apiKey.rateLimit,
+  keyGenerator: (req) => req.apiKey._id.toString(),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'API key rate limit exceeded, please try again later.'
+  }
+});
+
+// Authenticate requests carrying an X-API-Key header.
+// Sets req.apiKey and req.user (the key owner); requests without the header pass through.
+const apiKeyAuth = async (req, res, next) => {
+  const key = req.header('X-API-Key');
+
+  if (!key || req.apiKey) {
+    return next();
+  }
+
+  try {
+    const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(key) })
+      .populate('createdBy', '-password');
+
+    if (!apiKey || !apiKey.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or revoked API key.'
+      });
+    }
+
+    if (!apiKey.createdBy || !apiKey.createdBy.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'API key owner is deactivated.'
+      });
+    }
+
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } }
+    );
+
+    req.apiKey = apiKey;
+    req.user = apiKey.createdBy;
+    apiKeyLimiter(req, res, next);
+  } catch (error) {
+    console.error('API key middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during API key authentication.'
+    });
+  }
+};
+
+// Authenticate a request with an access token, or with an API key acting as its owner.
+// API key scopes are checked by can(), so only permission checked routes accept keys.
+const authenticate = async (req, res, next) => {
   try {
+    if (req.apiKey || req.header('X-API-Key')) {
+      return apiKeyAuth(req, res, next);
+    }
+
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (!token) {
@@ -13,6 +81,22 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Pre-auth tokens only grant access to the two-factor login endpoints
+    if (decoded.type === 'pre-auth') {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor authentication required.'
+      });
+    }
+
+    if (decoded.jti && await RevokedToken.exists({ jti: decoded.jti })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked.'
+      });
+    }
+
     const user = await User.findById(decoded.id).select('-password');
     
     if (!user) {
@@ -29,7 +113,45 @@ const auth = async (req, res, next) => {
       });
     }
 
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked.'
+      });
+    }
+
+    // Tokens issued for a login session die with that session
+    if (decoded.sid) {
+      const session = await Session.findById(decoded.sid);
+
+      if (!session || !session.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been terminated.'
+        });
+      }
+
+      // Only write last-seen info once a minute to keep requests cheap
+      if (Date.now() - session.lastSeenAt.getTime() > 60 * 1000) {
+        session.lastSeenAt = new Date();
+        session.lastSeenIp = req.ip;
+        await session.save();
+      }
+
+      req.authSession = session;
+    }
+
+    // An expired password must be changed before the account can be used again
+    if (user.passwordExpired && !req.allowExpiredPassword) {
+      return res.status(403).json({
+        success: false,
+        message: 'Password has expired. Please change your password.',
+        passwordExpired: true
+      });
+    }
+
     req.user = user;
+    req.token = decoded;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -54,9 +176,45 @@ const auth = async (req, res, next) => {
   }
 };
 
+// Authenticate a user with an access token. Account routes (sessions, password, 2FA) are
+// not covered by API key scopes, so API keys are rejected.
+const auth = async (req, res, next) => {
+  try {
+    await authenticate(req, res, () => {
+      if (req.apiKey) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. API keys cannot access account endpoints.'
+        });
+      }
+      next();
+    });
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during authentication.'
+    });
+  }
+};
+
+// Let users with an expired password through auth, placed before auth on the routes
+// needed to change the password (and to check the session or log out meanwhile)
+const allowExpiredPassword = (req, res, next) => {
+  req.allowExpiredPassword = true;
+  next();
+};
+
 const adminAuth = async (req, res, next) => {
   try {
-    await auth(req, res, () => {
+    await authenticate(req, res, () => {
+      if (req.apiKey) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. API keys cannot access admin endpoints.'
+        });
+      }
+
       if (req.user.role !== 'admin') {
         return res.status(403).json({
           success: false,
@@ -74,4 +232,48 @@ const adminAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, adminAuth };
\ No newline at end of file
+// Authenticate requests that carry credentials and let anonymous requests through.
+// Used by public routes that show more to dashboard users.
+const optionalAuth = (req, res, next) => {
+  if (!req.apiKey && !req.header('X-API-Key') && !req.header('Authorization')) {
+    return next();
+  }
+
+  return authenticate(req, res, next);
+};
+
+// Check a "<resource>:<action>" permission for an authenticated request.
+// API keys need the scope and their owner must still hold the permission.
+const can = (req, permission) => {
+  if (!req.user) {
+    return false;
+  }
+
+  const scopeGranted = !req.apiKey || req.apiKey.scopes.includes(permission);
+  return scopeGranted && hasPermission(req.user.role, permission);
+};
+
+// Require one or more "<resource>:<action>" permissions from the permission matrix
+const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    await authenticate(req, res, () => {
+      const missing = permissions.filter(permission => !can(req, permission));
+
+      if (missing.length) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Missing permission: ${missing.join(', ')}`
+        });
+      }
+      next();
+    });
+  } catch (error) {
+    console.error('Permission middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during permission check.'
+    });
+  }
+};
+
+module.exports = { auth, adminAuth, requirePermission, apiKeyAuth, optionalAuth, allowExpiredPassword, can };
\ No newline at end of file
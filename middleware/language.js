@@ -0,0 +1,13 @@
+const { resolveLanguage } = require('../config/i18n');
+
+// Content negotiation for localized responses, sets req.lang
+const negotiateLanguage = (req, res, next) => {
+  req.lang = resolveLanguage(req);
+  res.set('Content-Language', req.lang);
+  res.vary('Accept-Language');
+  next();
+};
+
+module.exports = {
+  negotiateLanguage
+};
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'API key name cannot exceed 100 characters']
+  },
+  prefix: {
+    type: String,
+    required: true // First characters of the key, shown to identify it
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true // SHA-256 of the raw key, the raw value is never stored
+  },
+  scopes: [{
+    type: String,
+    trim: true // Permissions from config/permissions.js, e.g. "products:read"
+  }],
+  rateLimit: {
+    type: Number,
+    min: [1, 'Rate limit must be at least 1 request per minute'],
+    default: 60 // Requests per minute
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ createdBy: 1 });
+
+apiKeySchema.virtual('isActive').get(function() {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > Date.now();
+});
+
+// Static method to hash a raw API key
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Instance method to set a brand new secret, returns the raw key once
+apiKeySchema.methods.generateKey = function() {
+  const key = `hd_${crypto.randomBytes(24).toString('hex')}`;
+
+  this.prefix = key.slice(0, 11);
+  this.keyHash = this.constructor.hashKey(key);
+
+  return key;
+};
+
+// Remove key hash from JSON output
+apiKeySchema.methods.toJSON = function() {
+  const apiKeyObject = this.toObject({ virtuals: true });
+  delete apiKeyObject.keyHash;
+  delete apiKeyObject.id;
+  return apiKeyObject;
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -1,16 +1,25 @@
 const mongoose = require('mongoose');
+const { translationsField, localizedTextIndex, textIndexOptions } = require('../config/i18n');
+const softDelete = require('./plugins/softDelete');
+
+const LOCALIZED_FIELDS = ['name'];
 
 const categorySchema = new mongoose.Schema({
   name: {
     type: String,
     required: [true, 'Category name is required'],
-    unique: true,
     trim: true,
     maxlength: [50, 'Category name cannot exceed 50 characters']
   },
+  translations: translationsField({
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Category name cannot exceed 50 characters']
+    }
+  }),
   slug: {
     type: String,
-    unique: true,
     lowercase: true
   },
   isActive: {
@@ -29,9 +38,16 @@ categorySchema.pre('save', function(next) {
   next();
 });
 
+// Soft deletion with a trash bin, names and slugs are unique outside of the trash
+categorySchema.plugin(softDelete, { unique: ['name', 'slug'] });
+
 // Index for search functionality
-categorySchema.index({ name: 'text' });
-categorySchema.index({ slug: 1 });
+categorySchema.index(
+  { name: 'text', ...localizedTextIndex(LOCALIZED_FIELDS) },
+  textIndexOptions('category_text')
+);
 categorySchema.index({ isActive: 1 });
 
+categorySchema.statics.LOCALIZED_FIELDS = LOCALIZED_FIELDS;
+
 module.exports = mongoose.model('Category', categorySchema);
\ No newline at end of file
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { translationsField, localizedTextIndex, textIndexOptions } = require('../config/i18n');
+const softDelete = require('./plugins/softDelete');
+
+const LOCALIZED_FIELDS = ['name', 'description', 'issuer'];
 
 const certificateSchema = new mongoose.Schema({
   name: {
@@ -13,6 +17,23 @@ const certificateSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
+  translations: translationsField({
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Certificate name cannot exceed 100 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    issuer: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Issuer name cannot exceed 100 characters']
+    }
+  }),
   image: {
     type: String,
     required: [true, 'Certificate image is required']
@@ -52,10 +73,31 @@ const certificateSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Soft deletion with a trash bin
+certificateSchema.plugin(softDelete);
+
 // Index for search functionality
-certificateSchema.index({ name: 'text', description: 'text', issuer: 'text' });
+certificateSchema.index(
+  { name: 'text', description: 'text', issuer: 'text', ...localizedTextIndex(LOCALIZED_FIELDS) },
+  textIndexOptions('certificate_text')
+);
 certificateSchema.index({ category: 1 });
 certificateSchema.index({ isActive: 1 });
 certificateSchema.index({ expiryDate: 1 });
 
+// Whether the certificate is past its expiry date
+certificateSchema.virtual('isExpired').get(function() {
+  return Boolean(this.expiryDate && this.expiryDate < new Date());
+});
+
+// Static method to check that certificates exist, returns the IDs that do not
+certificateSchema.statics.findMissingIds = async function(certificateIds) {
+  const ids = [...new Set(certificateIds.map(String))];
+  const found = await this.find({ _id: { $in: ids } }).select('_id');
+  const foundIds = found.map(certificate => certificate._id.toString());
+  return ids.filter(id => !foundIds.includes(id));
+};
+
+certificateSchema.statics.LOCALIZED_FIELDS = LOCALIZED_FIELDS;
+
 module.exports = mongoose.model('Certificate', certificateSchema);
\ No newline at end of file
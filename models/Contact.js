@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const contactSchema = new mongoose.Schema({
   type: {
@@ -36,6 +37,9 @@ const contactSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Soft deletion with a trash bin
+contactSchema.plugin(softDelete);
+
 // Index for search functionality
 contactSchema.index({ type: 'text', label: 'text', value: 'text' });
 contactSchema.index({ type: 1 });
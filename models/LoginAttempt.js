@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['success', 'unknown_user', 'invalid_password', 'invalid_2fa_code', 'account_deactivated', 'account_locked', 'ip_blocked']
+  }
+}, {
+  timestamps: true
+});
+
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ ipAddress: 1, success: 1, createdAt: -1 });
+// Keep login history for 90 days
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Static method to record a login attempt from a request
+loginAttemptSchema.statics.record = function(req, { user, email, success, reason }) {
+  return this.create({
+    user: user?._id,
+    email: email || user?.email,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    success,
+    reason: reason || (success ? 'success' : undefined)
+  });
+};
+
+// Static method to count failed attempts from an IP address within a time window
+loginAttemptSchema.statics.countRecentFailures = function(ipAddress, windowMs) {
+  return this.countDocuments({
+    ipAddress,
+    success: false,
+    createdAt: { $gte: new Date(Date.now() - windowMs) }
+  });
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
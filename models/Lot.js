@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+const labResultSchema = new mongoose.Schema({
+  test: {
+    type: String,
+    required: [true, 'Lab test name is required'],
+    trim: true,
+    maxlength: [100, 'Lab test name cannot exceed 100 characters']
+  },
+  result: {
+    type: String,
+    required: [true, 'Lab test result is required'],
+    trim: true,
+    maxlength: [200, 'Lab test result cannot exceed 200 characters']
+  },
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Unit cannot exceed 20 characters']
+  },
+  passed: {
+    type: Boolean
+  },
+  laboratory: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Laboratory name cannot exceed 100 characters']
+  },
+  testedAt: {
+    type: Date
+  },
+  reportUrl: {
+    type: String // URL to the lab report document
+  }
+});
+
+const lotSchema = new mongoose.Schema({
+  lotNumber: {
+    type: String,
+    required: [true, 'Lot number is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'Lot number cannot exceed 50 characters']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  harvestDate: {
+    type: Date
+  },
+  bestBefore: {
+    type: Date
+  },
+  originFarm: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Farm name cannot exceed 100 characters']
+    },
+    region: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Region cannot exceed 100 characters']
+    },
+    country: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Country cannot exceed 100 characters']
+    }
+  },
+  moisture: {
+    type: Number, // Moisture content in percent
+    min: [0, 'Moisture cannot be negative'],
+    max: [100, 'Moisture cannot exceed 100%']
+  },
+  labResults: [labResultSchema],
+  certificates: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Certificate'
+  }],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// The dates are checked together, a path validator on bestBefore would miss a changed harvestDate
+lotSchema.pre('validate', function(next) {
+  if (this.bestBefore && this.harvestDate && this.bestBefore <= this.harvestDate) {
+    this.invalidate('bestBefore', 'Best-before date must be after the harvest date', this.bestBefore);
+  }
+  next();
+});
+
+// Whether the lot is past its best-before date
+lotSchema.virtual('isExpired').get(function() {
+  return Boolean(this.bestBefore && this.bestBefore < new Date());
+});
+
+// Index for lot queries
+lotSchema.index({ product: 1, harvestDate: -1 });
+lotSchema.index({ bestBefore: 1 });
+lotSchema.index({ certificates: 1 });
+
+module.exports = mongoose.model('Lot', lotSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const messageSchema = new mongoose.Schema({
   name: {
@@ -85,6 +86,9 @@ const messageSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Soft deletion with a trash bin
+messageSchema.plugin(softDelete);
+
 // Index for search functionality
 messageSchema.index({ name: 'text', email: 'text', subject: 'text', message: 'text' });
 messageSchema.index({ isRead: 1 });
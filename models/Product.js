@@ -1,4 +1,135 @@
 const mongoose = require('mongoose');
+const { translationsField, localizedTextIndex, textIndexOptions } = require('../config/i18n');
+const softDelete = require('./plugins/softDelete');
+
+const MAX_IMAGES = 10;
+const LOCALIZED_FIELDS = ['name', 'description'];
+const STATUSES = ['draft', 'review', 'published', 'archived'];
+
+const productImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Image URL is required']
+  },
+  publicId: {
+    type: String // Cloudinary public ID for image management
+  },
+  alt: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Alt text cannot exceed 200 characters']
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false
+  }
+});
+
+const VARIANT_UNITS = ['g', 'kg'];
+const VARIANT_GRADES = ['whole', 'cut', 'powder'];
+
+const productVariantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [40, 'SKU cannot exceed 40 characters'],
+    match: [/^[A-Z0-9_-]+$/, 'SKU may only contain letters, numbers, dashes and underscores']
+  },
+  weight: {
+    type: Number,
+    required: [true, 'Variant weight is required'],
+    min: [0, 'Weight cannot be negative']
+  },
+  unit: {
+    type: String,
+    enum: VARIANT_UNITS,
+    default: 'g'
+  },
+  grade: {
+    type: String,
+    enum: VARIANT_GRADES,
+    required: [true, 'Variant grade is required']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative']
+  },
+  reorderThreshold: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reorder threshold cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const PLANT_PARTS = ['leaf', 'flower', 'root', 'rhizome', 'seed', 'fruit', 'bark', 'stem', 'aerial-parts', 'whole-plant', 'resin', 'peel'];
+const PROCESSING_FORMS = ['dried', 'freeze-dried', 'fresh', 'roasted', 'fermented', 'extract', 'essential-oil'];
+
+const percentage = (label) => ({
+  type: Number,
+  min: [0, `${label} cannot be negative`],
+  max: [100, `${label} cannot exceed 100%`]
+});
+
+const nonNegative = (label) => ({
+  type: Number,
+  min: [0, `${label} cannot be negative`]
+});
+
+// Botanical and technical specification shared with buyers on spec sheets
+const productSpecificationSchema = new mongoose.Schema({
+  latinName: {
+    type: String,
+    trim: true,
+    maxlength: [150, 'Latin name cannot exceed 150 characters']
+  },
+  plantPart: {
+    type: String,
+    enum: {
+      values: PLANT_PARTS,
+      message: `Plant part must be one of ${PLANT_PARTS.join(', ')}`
+    }
+  },
+  processingForm: {
+    type: String,
+    enum: {
+      values: PROCESSING_FORMS,
+      message: `Processing form must be one of ${PROCESSING_FORMS.join(', ')}`
+    }
+  },
+  moisture: percentage('Moisture'), // Maximum moisture content (%)
+  ash: percentage('Ash'), // Maximum total ash (%)
+  hsCode: {
+    type: String, // Harmonized System customs code, 6 to 10 digits
+    trim: true,
+    match: [/^\d{4}(\.?\d{2}){1,3}$/, 'HS code must have 6 to 10 digits, e.g. 1211.90']
+  },
+  shelfLifeMonths: {
+    type: Number,
+    min: [1, 'Shelf life must be at least 1 month'],
+    max: [120, 'Shelf life cannot exceed 120 months'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Shelf life must be a whole number of months'
+    }
+  },
+  storageConditions: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Storage conditions cannot exceed 500 characters']
+  }
+}, { _id: false });
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -20,6 +151,26 @@ const productSchema = new mongoose.Schema({
   imagePublicId: {
     type: String // Cloudinary public ID for image management
   },
+  images: {
+    type: [productImageSchema], // Ordered gallery, image/imagePublicId mirror the primary one
+    validate: {
+      validator: images => images.length <= MAX_IMAGES,
+      message: `A product cannot have more than ${MAX_IMAGES} images`
+    }
+  },
+  translations: translationsField({
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Product name cannot exceed 100 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description cannot exceed 1000 characters']
+    }
+  }),
+  variants: [productVariantSchema], // Pack sizes and grades, each with its own SKU, price and stock
   category: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category',
@@ -29,41 +180,265 @@ const productSchema = new mongoose.Schema({
     type: Number,
     min: [0, 'Price cannot be negative']
   },
+  stockQuantity: {
+    type: Number, // Quantity on hand, the sum of active variant stock for products sold in variants
+    default: 0,
+    min: [0, 'Stock quantity cannot be negative']
+  },
+  reorderThreshold: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reorder threshold cannot be negative']
+  },
   inStock: {
-    type: Boolean,
+    type: Boolean, // Derived from stockQuantity, only changed through stock movements
     default: true
   },
   featured: {
     type: Boolean,
     default: false
   },
+  status: {
+    type: String, // New products start as drafts, products created before the workflow have none
+    enum: STATUSES
+  },
+  publishAt: {
+    type: Date // Published products stay hidden until this date
+  },
+  unpublishAt: {
+    type: Date, // Published products are hidden again from this date
+    validate: {
+      validator: function(value) {
+        return !value || !this.publishAt || value > this.publishAt;
+      },
+      message: 'Unpublish date must be after the publish date'
+    }
+  },
+  publishedAt: {
+    type: Date // When the product was first published
+  },
   tags: [{
     type: String,
     trim: true
   }],
   nutritionalInfo: {
-    calories: Number,
-    protein: Number,
-    carbs: Number,
-    fat: Number,
-    fiber: Number
+    calories: nonNegative('Calories'),
+    protein: nonNegative('Protein'),
+    carbs: nonNegative('Carbs'),
+    fat: nonNegative('Fat'),
+    fiber: nonNegative('Fiber')
   },
+  specifications: productSpecificationSchema,
   origin: {
     type: String,
     trim: true
   },
   certifications: [{
-    type: String,
-    trim: true
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Certificate'
   }]
 }, {
   timestamps: true
 });
 
+// Primary gallery image
+productSchema.virtual('primaryImage').get(function() {
+  return this.images.find(image => image.isPrimary) || this.images[0];
+});
+
+// Move a product created before galleries existed into its gallery
+productSchema.methods.ensureGallery = function() {
+  if (!this.images.length && this.imagePublicId) {
+    this.images.push({ url: this.image, publicId: this.imagePublicId, isPrimary: true });
+  }
+};
+
+// Keep exactly one primary image and mirror it into image/imagePublicId
+productSchema.pre('save', function(next) {
+  const primary = this.primaryImage;
+
+  if (primary) {
+    this.images.forEach(image => {
+      image.isPrimary = image._id.equals(primary._id);
+    });
+    this.image = primary.url;
+    this.imagePublicId = primary.publicId;
+  }
+
+  next();
+});
+
+// Products sold in variants show the lowest variant price and the total stock of their variants.
+// inStock follows the quantity on hand, products saved before inventory tracking keep their flag
+// until their stock is first changed.
+productSchema.pre('save', function(next) {
+  const activeVariants = this.variants.filter(variant => variant.isActive);
+
+  if (activeVariants.length) {
+    this.price = Math.min(...activeVariants.map(variant => variant.price));
+  }
+
+  if (this.variants.length) {
+    this.stockQuantity = activeVariants.reduce((total, variant) => total + variant.stock, 0);
+  }
+
+  if (this.isNew || this.isModified('stockQuantity') || this.isModified('variants')) {
+    this.inStock = this.stockQuantity > 0;
+  }
+
+  next();
+});
+
+// New products start as drafts and remember when they were first published
+productSchema.pre('save', function(next) {
+  if (this.isNew && !this.status) {
+    this.status = 'draft';
+  }
+
+  if (this.status === 'published' && !this.publishedAt) {
+    this.publishedAt = this.publishAt || new Date();
+  }
+  next();
+});
+
+// Whether the product is visible on the public site right now
+productSchema.virtual('isPublished').get(function() {
+  const now = new Date();
+  return (!this.status || this.status === 'published') &&
+    (!this.publishAt || this.publishAt <= now) &&
+    (!this.unpublishAt || this.unpublishAt > now);
+});
+
+// Atomically apply a signed stock change to a product or one of its variants, keeping
+// stockQuantity and inStock in step the way the save hook does. Stock never goes below zero,
+// so parallel movements cannot overdraw it. Returns { product, balance } with the updated
+// product, or null when the product does not exist. Throws an error with status 400 when the
+// change is not possible. The version key is bumped, so a product loaded before the change fails
+// to save with a VersionError instead of writing stale stock back when the save is versioned.
+productSchema.statics.changeStock = async function(productId, change, variantId, { session = null } = {}) {
+  const stockError = (message) => Object.assign(new Error(message), { status: 400 });
+  const activeVariants = { $filter: { input: '$variants', as: 'variant', cond: '$$variant.isActive' } };
+  let filter;
+  let update;
+
+  if (variantId) {
+    const id = new mongoose.Types.ObjectId(variantId);
+
+    filter = { _id: productId, variants: { $elemMatch: { _id: id, stock: { $gte: -change } } } };
+    update = [
+      {
+        $set: {
+          variants: {
+            $map: {
+              input: '$variants',
+              as: 'variant',
+              in: {
+                $cond: [
+                  { $eq: ['$$variant._id', id] },
+                  { $mergeObjects: ['$$variant', { stock: { $add: ['$$variant.stock', change] } }] },
+                  '$$variant'
+                ]
+              }
+            }
+          }
+        }
+      },
+      { $set: { stockQuantity: { $sum: { $map: { input: activeVariants, as: 'variant', in: '$$variant.stock' } } } } }
+    ];
+  } else {
+    // Products saved before inventory tracking have no stockQuantity yet
+    filter = {
+      _id: productId,
+      'variants.0': { $exists: false },
+      $expr: { $gte: [{ $add: [{ $ifNull: ['$stockQuantity', 0] }, change] }, 0] }
+    };
+    update = [{ $set: { stockQuantity: { $add: [{ $ifNull: ['$stockQuantity', 0] }, change] } } }];
+  }
+
+  update.push({ $set: { inStock: { $gt: ['$stockQuantity', 0] }, __v: { $add: [{ $ifNull: ['$__v', 0] }, 1] } } });
+
+  const product = await this.findOneAndUpdate(filter, update, { new: true, session });
+
+  if (product) {
+    return { product, balance: variantId ? product.variants.id(variantId).stock : product.stockQuantity };
+  }
+
+  // Nothing was changed, find out why
+  const current = await this.findById(productId).session(session);
+
+  if (!current) {
+    return null;
+  }
+
+  if (variantId) {
+    const variant = current.variants.id(variantId);
+
+    if (!variant) {
+      throw stockError('Variant not found');
+    }
+    throw stockError(`Insufficient stock for ${variant.sku}: ${variant.stock} on hand`);
+  }
+
+  if (current.variants.length) {
+    throw stockError('A variant is required for products sold in variants');
+  }
+  throw stockError(`Insufficient stock: ${current.stockQuantity || 0} on hand`);
+};
+
+// Soft deletion with a trash bin, variant SKUs are unique outside of the trash
+productSchema.plugin(softDelete, { unique: ['variants.sku'] });
+
 // Index for search functionality
-productSchema.index({ name: 'text', description: 'text', tags: 'text' });
+productSchema.index(
+  { name: 'text', description: 'text', tags: 'text', 'specifications.latinName': 'text', ...localizedTextIndex(LOCALIZED_FIELDS) },
+  textIndexOptions('product_text')
+);
 productSchema.index({ category: 1 });
 productSchema.index({ featured: 1 });
 productSchema.index({ inStock: 1 });
+productSchema.index({ status: 1, publishAt: 1, unpublishAt: 1 });
+productSchema.index({ 'variants.grade': 1 });
+productSchema.index({ 'specifications.plantPart': 1, 'specifications.processingForm': 1 });
+productSchema.index({ certifications: 1 });
+
+// Static method to get allowed variant units
+productSchema.statics.getVariantUnits = function() {
+  return VARIANT_UNITS;
+};
+
+// Static method to get allowed variant grades
+productSchema.statics.getVariantGrades = function() {
+  return VARIANT_GRADES;
+};
+
+// Static method to get allowed plant parts
+productSchema.statics.getPlantParts = function() {
+  return PLANT_PARTS;
+};
+
+// Static method to get allowed processing forms
+productSchema.statics.getProcessingForms = function() {
+  return PROCESSING_FORMS;
+};
+
+// Static method to get allowed publishing statuses
+productSchema.statics.getStatuses = function() {
+  return STATUSES;
+};
+
+// Static method to get the filter matching products visible on the public site.
+// Products saved before the publishing workflow have no status and stay visible.
+productSchema.statics.publishedFilter = function(now = new Date()) {
+  return {
+    status: { $in: ['published', null] },
+    publishAt: { $not: { $gt: now } },
+    unpublishAt: { $not: { $lte: now } }
+  };
+};
+
+productSchema.statics.MAX_IMAGES = MAX_IMAGES;
+productSchema.statics.LOCALIZED_FIELDS = LOCALIZED_FIELDS;
+productSchema.statics.SPECIFICATION_FIELDS = Object.keys(productSpecificationSchema.paths);
+productSchema.statics.NUTRITION_FIELDS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
 
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
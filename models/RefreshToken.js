@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true // SHA-256 of the raw token, the raw value is never stored
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  replacedByHash: {
+    type: String
+  },
+  createdByIp: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ session: 1 });
+// Let MongoDB drop expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.virtual('isExpired').get(function() {
+  return Date.now() >= this.expiresAt.getTime();
+});
+
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && !this.isExpired;
+});
+
+// Static method to hash a raw refresh token
+refreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to create a new refresh token, returns the raw token once
+refreshTokenSchema.statics.issue = async function(userId, { ip, userAgent, session } = {}) {
+  const token = crypto.randomBytes(40).toString('hex');
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 7;
+
+  const refreshToken = await this.create({
+    user: userId,
+    session,
+    tokenHash: this.hashToken(token),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    createdByIp: ip,
+    userAgent
+  });
+
+  return { token, refreshToken };
+};
+
+// Static method to revoke every active refresh token of a user
+refreshTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+// Static method to revoke every active refresh token of a session
+refreshTokenSchema.statics.revokeAllForSession = function(sessionId) {
+  return this.updateMany(
+    { session: sessionId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+
+const RESOURCE_TYPES = ['Product', 'Certificate'];
+
+// Bookkeeping fields are never part of a snapshot
+const SYSTEM_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Fields managed outside of content editing (inventory) are not versioned
+const UNVERSIONED_FIELDS = {
+  Product: ['stockQuantity', 'inStock', 'publishedAt'],
+  Certificate: []
+};
+
+// Fields shown in the history that a restore leaves as they are, restoring content must not
+// publish or unpublish it
+const UNRESTORED_FIELDS = {
+  Product: ['status', 'publishAt', 'unpublishAt'],
+  Certificate: []
+};
+
+// Times recording a revision is tried when concurrent revisions of the document take its version
+const RECORD_ATTEMPTS = 5;
+
+const revisionSchema = new mongoose.Schema({
+  resourceType: {
+    type: String,
+    enum: RESOURCE_TYPES,
+    required: [true, 'Resource type is required']
+  },
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'resourceType',
+    required: [true, 'Resource is required']
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['baseline', 'create', 'update', 'restore'],
+    default: 'update'
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed, // Versioned fields of the document after the change
+    required: true
+  },
+  changes: [{
+    type: String // Fields changed compared to the previous revision
+  }],
+  restoredFrom: {
+    type: Number // Version a restore revision was copied from
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// Index for revision history queries, versions are unique per document
+revisionSchema.index({ resourceType: 1, resource: 1, version: -1 }, { unique: true });
+
+// Flatten nested plain objects into dotted paths, arrays and other values are compared whole
+const flatten = (value, prefix = '', result = {}) => {
+  Object.entries(value || {}).forEach(([key, item]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const isPlainObject = item && typeof item === 'object' && !Array.isArray(item) &&
+      !(item instanceof Date) && !(item instanceof mongoose.Types.ObjectId);
+
+    if (isPlainObject && Object.keys(item).length) {
+      flatten(item, path, result);
+    } else {
+      result[path] = item;
+    }
+  });
+  return result;
+};
+
+// Static method to take the versioned fields of a document
+revisionSchema.statics.snapshotOf = function(doc) {
+  const excluded = [...SYSTEM_FIELDS, ...(UNVERSIONED_FIELDS[doc.constructor.modelName] || [])];
+  const data = doc.toObject({ depopulate: true, virtuals: false });
+
+  excluded.forEach(field => delete data[field]);
+  return data;
+};
+
+// Static method to compare two snapshots, returns [{ field, from, to }]
+revisionSchema.statics.diff = function(from, to) {
+  const before = flatten(from);
+  const after = flatten(to);
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+  return fields
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+};
+
+// Record a revision with the version after the latest one
+const recordNext = async (Revision, doc, { author, action = 'update', previous, restoredFrom } = {}) => {
+  const resourceType = doc.constructor.modelName;
+  const latest = await Revision.findOne({ resourceType, resource: doc._id }).sort({ version: -1 });
+
+  let version = latest ? latest.version : 0;
+  let previousSnapshot = latest ? latest.snapshot : undefined;
+
+  if (!latest && previous) {
+    await Revision.create({ resourceType, resource: doc._id, version: 1, action: 'baseline', snapshot: previous });
+    version = 1;
+    previousSnapshot = previous;
+  }
+
+  const snapshot = Revision.snapshotOf(doc);
+
+  return Revision.create({
+    resourceType,
+    resource: doc._id,
+    version: version + 1,
+    action,
+    snapshot,
+    changes: previousSnapshot ? [...new Set(Revision.diff(previousSnapshot, snapshot).map(change => change.field.split('.')[0]))] : [],
+    restoredFrom,
+    author
+  });
+};
+
+// Static method to record a revision of a document after it was saved.
+// Documents created before revision history get a baseline revision from `previous` first.
+// The version follows the latest recorded one, so two saves of a document recorded at the same
+// time pick the same version and the unique index rejects one of them, which is then retried
+// against the new latest version.
+revisionSchema.statics.record = async function(doc, options = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await recordNext(this, doc, options);
+    } catch (error) {
+      if (error.code !== 11000 || attempt === RECORD_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Static method to copy the versioned fields of a snapshot back onto a document
+revisionSchema.statics.applySnapshot = function(doc, snapshot) {
+  const modelName = doc.constructor.modelName;
+  const excluded = [...SYSTEM_FIELDS, ...(UNVERSIONED_FIELDS[modelName] || []), ...(UNRESTORED_FIELDS[modelName] || [])];
+  const fields = [...new Set(Object.keys(doc.schema.paths).map(path => path.split('.')[0]))]
+    .filter(field => !excluded.includes(field));
+
+  fields.forEach(field => {
+    const value = snapshot[field];
+    doc.set(field, value === undefined && Array.isArray(doc.get(field)) ? [] : value);
+  });
+};
+
+// Static method to list the Cloudinary images referenced by the revisions of a document
+revisionSchema.statics.imagePublicIds = async function(resourceType, resourceId) {
+  const revisions = await this.find({ resourceType, resource: resourceId }).select('snapshot');
+  const publicIds = revisions.flatMap(revision => [
+    revision.snapshot.imagePublicId,
+    ...(revision.snapshot.images || []).map(image => image.publicId)
+  ]);
+
+  return [...new Set(publicIds.filter(Boolean))];
+};
+
+module.exports = mongoose.model('Revision', revisionSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = ['receipt', 'sale', 'adjustment', 'waste'];
+
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId // Product variant the movement applies to, if any
+  },
+  sku: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: [true, 'Movement type is required']
+  },
+  quantity: {
+    type: Number, // Signed change, negative for sales and waste
+    required: [true, 'Quantity is required']
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  reference: {
+    type: String, // Order, invoice or delivery note number
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// The ledger is append-only, movements are corrected with new adjustment movements
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Stock movements cannot be modified'));
+  }
+  next();
+});
+
+stockMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Stock movements cannot be modified'));
+  }
+);
+
+// Index for ledger queries
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ type: 1 });
+stockMovementSchema.index({ createdAt: -1 });
+
+// Static method to get allowed movement types
+stockMovementSchema.statics.getTypes = function() {
+  return MOVEMENT_TYPES;
+};
+
+// Static method to turn a movement quantity into a signed stock change.
+// Receipts add, sales and waste remove, adjustments are already signed.
+stockMovementSchema.statics.toStockChange = function(type, quantity) {
+  return type === 'sale' || type === 'waste' ? -Math.abs(quantity) : quantity;
+};
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { translationsField, localizedTextIndex, textIndexOptions } = require('../config/i18n');
+const softDelete = require('./plugins/softDelete');
+
+const LOCALIZED_FIELDS = ['name', 'position', 'bio', 'department'];
 
 const teamMemberSchema = new mongoose.Schema({
   name: {
@@ -13,6 +17,28 @@ const teamMemberSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Position cannot exceed 100 characters']
   },
+  translations: translationsField({
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    position: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Position cannot exceed 100 characters']
+    },
+    bio: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Bio cannot exceed 500 characters']
+    },
+    department: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Department cannot exceed 50 characters']
+    }
+  }),
   image: {
     type: String,
     required: [true, 'Team member image is required']
@@ -83,10 +109,17 @@ const teamMemberSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Soft deletion with a trash bin, emails are unique outside of the trash
+teamMemberSchema.plugin(softDelete, { unique: ['email'] });
+
 // Index for search functionality
-teamMemberSchema.index({ name: 'text', position: 'text', department: 'text' });
+teamMemberSchema.index(
+  { name: 'text', position: 'text', department: 'text', ...localizedTextIndex(LOCALIZED_FIELDS) },
+  textIndexOptions('team_member_text')
+);
 teamMemberSchema.index({ department: 1 });
 teamMemberSchema.index({ isActive: 1 });
-teamMemberSchema.index({ email: 1 }, { unique: true });
+
+teamMemberSchema.statics.LOCALIZED_FIELDS = LOCALIZED_FIELDS;
 
 module.exports = mongoose.model('TeamMember', teamMemberSchema);
\ No newline at end of file
@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const RefreshToken = require('./RefreshToken');
+const Session = require('./Session');
+const { ROLES } = require('../config/permissions');
+const { policy, validatePassword, isPasswordExpired } = require('../config/passwordPolicy');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -12,13 +18,18 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
-    minlength: [6, 'Password must be at least 6 characters long']
+    required: [true, 'Password is required'] // Strength rules live in config/passwordPolicy.js
   },
+  passwordChangedAt: {
+    type: Date
+  },
+  passwordHistory: [{
+    type: String // Hashes of previous passwords, newest first
+  }],
   role: {
     type: String,
-    enum: ['admin'],
-    default: 'admin'
+    enum: ROLES,
+    default: 'viewer'
   },
   isActive: {
     type: Boolean,
@@ -26,34 +37,249 @@ const userSchema = new mongoose.Schema({
   },
   lastLogin: {
     type: Date
-  }
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockCount: {
+    type: Number,
+    default: 0 // Consecutive lockouts, each one doubles the lock duration
+  },
+  lockUntil: {
+    type: Date
+  },
+  tokenVersion: {
+    type: Number,
+    default: 0 // Incremented to invalidate every access token issued so far
+  },
+  passwordResetTokenHash: {
+    type: String // SHA-256 of the single-use reset token sent by email
+  },
+  passwordResetExpires: {
+    type: Date
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String // Base32 TOTP secret, set during enrollment and enabled once verified
+  },
+  twoFactorBackupCodes: [{
+    type: String // SHA-256 hashes of unused single-use backup codes
+  }]
 }, {
   timestamps: true
 });
 
-// Hash password before saving
+// Remember the stored password hash so a change can be checked against it
+userSchema.post('init', function() {
+  this.$locals.previousPasswordHash = this.password;
+});
+
+// Build a validation error listing password policy violations
+const passwordValidationError = (doc, violations) => {
+  const error = new mongoose.Error.ValidationError(doc);
+
+  violations.forEach((violation, index) => {
+    error.addError(index === 0 ? 'password' : `password.${violation.code}`, new mongoose.Error.ValidatorError({
+      path: 'password',
+      type: violation.code,
+      message: violation.message
+    }));
+  });
+
+  return error;
+};
+
+// Enforce the password policy and history, then hash the password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
   try {
+    const violations = validatePassword(this.password, { email: this.email });
+
+    // Block reuse of the current password and the last N previous ones
+    const previousHashes = [this.$locals.previousPasswordHash, ...this.passwordHistory]
+      .filter(Boolean)
+      .slice(0, policy.historyCount + 1);
+
+    for (const hash of previousHashes) {
+      if (await bcrypt.compare(this.password, hash)) {
+        violations.push({
+          code: 'reused',
+          message: `Password cannot be the same as any of your last ${policy.historyCount + 1} passwords`
+        });
+        break;
+      }
+    }
+
+    if (violations.length) {
+      return next(passwordValidationError(this, violations));
+    }
+
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    this.passwordChangedAt = new Date();
+
+    if (this.$locals.previousPasswordHash) {
+      this.passwordHistory = [this.$locals.previousPasswordHash, ...this.passwordHistory].slice(0, policy.historyCount);
+    }
+    this.$locals.previousPasswordHash = this.password;
+
     next();
   } catch (error) {
     next(error);
   }
 });
 
+// Check whether the password is older than the maximum password age
+userSchema.virtual('passwordExpired').get(function() {
+  return isPasswordExpired(this.passwordChangedAt || this.createdAt);
+});
+
+// Check whether the account is temporarily locked
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Count a failed login and lock the account once the limit is reached. The counter is
+// incremented atomically so that parallel failed logins are all counted, and only the
+// request that reaches the limit locks the account.
+userSchema.methods.registerFailedLogin = async function() {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  const lockMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+  const fields = 'failedLoginAttempts lockCount lockUntil';
+
+  let counts = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: fields }
+  );
+
+  if (counts && counts.failedLoginAttempts >= maxAttempts) {
+    // 15 min, 30 min, 1 h, ... capped at 24 hours
+    const duration = Math.min(lockMinutes * Math.pow(2, counts.lockCount), 24 * 60);
+
+    counts = await this.constructor.findOneAndUpdate(
+      { _id: this._id, failedLoginAttempts: { $gte: maxAttempts } },
+      {
+        $set: { lockUntil: new Date(Date.now() + duration * 60 * 1000), failedLoginAttempts: 0 },
+        $inc: { lockCount: 1 }
+      },
+      { new: true, projection: fields }
+    ) || await this.constructor.findById(this._id).select(fields); // locked by a parallel request
+  }
+
+  // Mirror the stored values without marking them as changed
+  if (counts) {
+    fields.split(' ').forEach(field => {
+      this.set(field, counts[field]);
+      this.unmarkModified(field);
+    });
+  }
+};
+
+// Clear failed login tracking after a successful login or an admin unlock
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = undefined;
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Create a single-use password reset token, returns the raw token once
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+  this.passwordResetTokenHash = this.constructor.hashResetToken(token);
+  this.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+
+  return token;
+};
+
+// Static method to hash a raw password reset token
+userSchema.statics.hashResetToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Accept TOTP codes from the previous and next 30 second step to tolerate clock drift
+authenticator.options = { window: 1 };
+
+// Normalize and hash a backup code for storage and lookup
+const hashBackupCode = (code) => {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+};
+
+// Start two-factor enrollment with a fresh TOTP secret
+userSchema.methods.createTwoFactorSecret = function() {
+  this.twoFactorSecret = authenticator.generateSecret();
+  return authenticator.keyuri(this.email, process.env.TWO_FACTOR_ISSUER || 'Herbs Dashboard', this.twoFactorSecret);
+};
+
+// Generate new backup codes, replacing any previous ones, returns the raw codes once
+userSchema.methods.generateBackupCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+
+  this.twoFactorBackupCodes = codes.map(hashBackupCode);
+  return codes;
+};
+
+// Verify a TOTP code against the secret
+userSchema.methods.verifyTotp = function(code) {
+  if (!this.twoFactorSecret || !code) return false;
+  return authenticator.check(String(code).replace(/\s/g, ''), this.twoFactorSecret);
+};
+
+// Verify a TOTP code or consume a backup code (caller must save the user)
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (this.verifyTotp(code)) return true;
+  if (!code) return false;
+
+  const index = this.twoFactorBackupCodes.indexOf(hashBackupCode(String(code)));
+  if (index === -1) return false;
+
+  this.twoFactorBackupCodes.splice(index, 1);
+  return true;
+};
+
+// Turn off two-factor authentication and forget the secret
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = undefined;
+  this.twoFactorBackupCodes = [];
+};
+
+// Invalidate every session, access token and refresh token issued to this user
+userSchema.methods.revokeAllTokens = async function() {
+  await this.constructor.updateOne({ _id: this._id }, { $inc: { tokenVersion: 1 } });
+  this.tokenVersion = (this.tokenVersion || 0) + 1;
+  await RefreshToken.revokeAllForUser(this._id);
+  await Session.revokeAllForUser(this._id);
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordHistory;
+  delete userObject.passwordResetTokenHash;
+  delete userObject.passwordResetExpires;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorBackupCodes;
   return userObject;
 };
 
+// Index for password reset token lookup
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
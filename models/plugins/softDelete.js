@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Query operations that skip soft-deleted documents unless the query asks for them
+const FILTERED_QUERIES = ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'];
+
+// Soft deletion: deleted documents keep their data with deletedAt/deletedBy set and are
+// hidden from queries until restored or purged.
+// Use .withDeleted() to include them, or a filter on deletedAt (as the trash listings do).
+// Fields listed in unique must be unique among documents that are not in the trash only,
+// so that a deleted name or SKU can be used again. Restoring a document whose value has
+// been taken meanwhile fails with a duplicate key error.
+const softDelete = (schema, { unique = [] } = {}) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  // Partial indexes cannot match deletedAt: null (it also matches a missing field), documents
+  // get an explicit null: new ones by default, older ones through npm run sync-indexes
+  unique.forEach(field => {
+    schema.index({ [field]: 1 }, {
+      unique: true,
+      partialFilterExpression: { deletedAt: { $type: 'null' }, [field]: { $exists: true } }
+    });
+  });
+
+  schema.pre(FILTERED_QUERIES, function(next) {
+    if (!this.getOptions().withDeleted && !('deletedAt' in this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+    next();
+  });
+
+  // Aggregations get the filter merged into their first $match stage so that a $text
+  // match stays the first stage of the pipeline
+  schema.pre('aggregate', function(next) {
+    const pipeline = this.pipeline();
+    const firstStage = pipeline[0];
+
+    if (firstStage && firstStage.$match) {
+      if (!('deletedAt' in firstStage.$match)) {
+        firstStage.$match.deletedAt = null;
+      }
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+    next();
+  });
+
+  schema.query.withDeleted = function() {
+    return this.setOptions({ withDeleted: true });
+  };
+
+  schema.virtual('isDeleted').get(function() {
+    return Boolean(this.deletedAt);
+  });
+
+  // Move the document to the trash
+  schema.methods.softDelete = function(userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  // Take the document out of the trash
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    return this.save();
+  };
+};
+
+module.exports = softDelete;
@@ -0,0 +1,211 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const { adminAuth } = require('../middleware/auth');
+const { getPermissions } = require('../config/permissions');
+
+const router = express.Router();
+
+// @route   GET /api/api-keys
+// @desc    Get all API keys (without secrets)
+// @access  Private (Admin)
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const { includeRevoked } = req.query;
+
+    // Build filter object
+    let filter = {};
+
+    if (includeRevoked !== 'true') {
+      filter.revokedAt = { $exists: false };
+    }
+
+    const apiKeys = await ApiKey.find(filter)
+      .populate('createdBy', 'email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: apiKeys
+    });
+
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching API keys'
+    });
+  }
+});
+
+// @route   POST /api/api-keys
+// @desc    Create a new API key (the raw key is only returned once)
+// @access  Private (Admin)
+router.post('/', [
+  adminAuth,
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .custom((scope, { req }) => {
+      if (!getPermissions(req.user.role).includes(scope)) {
+        throw new Error(`Invalid scope: ${scope}`);
+      }
+      return true;
+    }),
+  body('rateLimit')
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('Rate limit must be between 1 and 10000 requests per minute'),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('expiresAt must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, rateLimit, expiresAt } = req.body;
+
+    const apiKey = new ApiKey({
+      name,
+      scopes: [...new Set(scopes)],
+      createdBy: req.user._id
+    });
+
+    // Add optional fields
+    if (rateLimit) apiKey.rateLimit = parseInt(rateLimit);
+    if (expiresAt) apiKey.expiresAt = new Date(expiresAt);
+
+    const key = apiKey.generateKey();
+    await apiKey.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Copy the key now, it will not be shown again.',
+      key,
+      data: apiKey
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating API key'
+    });
+  }
+});
+
+// @route   POST /api/api-keys/:id/rotate
+// @desc    Replace the secret of an API key, keeping its scopes and limits
+// @access  Private (Admin)
+router.post('/:id/rotate', adminAuth, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot rotate a revoked API key'
+      });
+    }
+
+    const key = apiKey.generateKey();
+    apiKey.lastUsedAt = undefined;
+    apiKey.lastUsedIp = undefined;
+    await apiKey.save();
+
+    res.json({
+      success: true,
+      message: 'API key rotated successfully. Copy the key now, it will not be shown again.',
+      key,
+      data: apiKey
+    });
+
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid API key ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rotating API key'
+    });
+  }
+});
+
+// @route   PUT /api/api-keys/:id/revoke
+// @desc    Revoke an API key
+// @access  Private (Admin)
+router.put('/:id/revoke', adminAuth, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid API key ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking API key'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,20 +1,169 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { body, validationResult, query } = require('express-validator');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const Setting = require('../models/Setting');
+const LoginAttempt = require('../models/LoginAttempt');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const { auth, adminAuth, allowExpiredPassword } = require('../middleware/auth');
+const { getPermissions } = require('../config/permissions');
+const { isMailConfigured, sendMail } = require('../config/mailer');
+const { policy: passwordPolicy } = require('../config/passwordPolicy');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// Generate short-lived JWT access token bound to a login session
+const generateToken = (user, session) => {
+  return jwt.sign({ id: user._id, sid: session._id, tv: user.tokenVersion || 0 }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m',
+    jwtid: crypto.randomUUID()
   });
 };
 
+// Generate an access token and a new rotating refresh token.
+// A new session is started when none is given (i.e. on login).
+const issueTokens = async (user, req, session) => {
+  const userAgent = req.get('User-Agent');
+
+  if (!session) {
+    session = new Session({
+      user: user._id,
+      device: Session.describeDevice(userAgent),
+      userAgent,
+      ipAddress: req.ip,
+      lastSeenIp: req.ip
+    });
+  }
+
+  const { token: refreshToken, refreshToken: storedToken } = await RefreshToken.issue(user._id, {
+    ip: req.ip,
+    userAgent,
+    session: session._id
+  });
+
+  // The session lives as long as its newest refresh token
+  session.expiresAt = storedToken.expiresAt;
+  await session.save();
+
+  return {
+    token: generateToken(user, session),
+    refreshToken
+  };
+};
+
+// Generate a short-lived pre-auth token that only unlocks the two-factor step of login.
+// Scope "verify" lets the user submit a code, scope "setup" lets them enroll first.
+const generatePreAuthToken = (user, scope) => {
+  return jwt.sign({ id: user._id, type: 'pre-auth', scope }, process.env.JWT_SECRET, {
+    expiresIn: process.env.PRE_AUTH_EXPIRE || '5m'
+  });
+};
+
+// Decode a pre-auth token, returns null when it is invalid or has another scope
+const verifyPreAuthToken = (token, scope) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === 'pre-auth' && decoded.scope === scope ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Finish a login: record it, issue tokens and send the user payload
+const sendLoginResponse = async (user, req, res, extra = {}) => {
+  user.lastLogin = new Date();
+  user.resetLoginAttempts();
+  await user.save();
+  await LoginAttempt.record(req, { user, success: true });
+
+  const { token, refreshToken } = await issueTokens(user, req);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      permissions: getPermissions(user.role),
+      twoFactorEnabled: user.twoFactorEnabled,
+      passwordExpired: user.passwordExpired,
+      lastLogin: user.lastLogin
+    },
+    ...extra
+  });
+};
+
+// Slow down and eventually block IP addresses with many recent failed logins.
+// Returns true when the IP is blocked and the attempt must be rejected.
+const throttleLoginAttempt = async (req) => {
+  const windowMs = (parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15) * 60 * 1000;
+  const maxFailures = parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS) || 20;
+  const failures = await LoginAttempt.countRecentFailures(req.ip, windowMs);
+
+  if (failures >= maxFailures) {
+    return true;
+  }
+
+  // Progressive delay: 0.5s after the 3rd failure, doubling up to 8s
+  if (failures >= 3) {
+    const delay = Math.min(500 * Math.pow(2, failures - 3), 8000);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  return false;
+};
+
+// Build the response for a temporarily locked account
+const sendLockedResponse = (user, res) => {
+  const minutes = Math.ceil((user.lockUntil - Date.now()) / (60 * 1000));
+
+  return res.status(423).json({
+    success: false,
+    message: `Account is temporarily locked due to too many failed login attempts. Try again in ${minutes} minute(s).`,
+    lockUntil: user.lockUntil
+  });
+};
+
+// Accept a full access token, or a pre-auth token issued for mandatory 2FA enrollment
+const twoFactorSetupAuth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const decoded = token && verifyPreAuthToken(token, 'setup');
+
+    if (!decoded) {
+      return auth(req, res, next);
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token. User not found.'
+      });
+    }
+
+    req.user = user;
+    req.preAuth = true;
+    next();
+  } catch (error) {
+    console.error('Two-factor setup auth error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during authentication.'
+    });
+  }
+};
+
 // @route   POST /api/auth/login
-// @desc    Login admin
+// @desc    Login dashboard user
 // @access  Public
 router.post('/login', [
   body('email')
@@ -38,9 +187,18 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    if (await throttleLoginAttempt(req)) {
+      await LoginAttempt.record(req, { email, success: false, reason: 'ip_blocked' });
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts from this IP, please try again later.'
+      });
+    }
+
     // Check if user exists
     const user = await User.findOne({ email });
     if (!user) {
+      await LoginAttempt.record(req, { email, success: false, reason: 'unknown_user' });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -49,39 +207,56 @@ router.post('/login', [
 
     // Check if account is active
     if (!user.isActive) {
+      await LoginAttempt.record(req, { user, success: false, reason: 'account_deactivated' });
       return res.status(401).json({
         success: false,
         message: 'Account is deactivated'
       });
     }
 
+    // Check if account is locked
+    if (user.isLocked) {
+      await LoginAttempt.record(req, { user, success: false, reason: 'account_locked' });
+      return sendLockedResponse(user, res);
+    }
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await user.registerFailedLogin();
+      await LoginAttempt.record(req, { user, success: false, reason: 'invalid_password' });
+
+      if (user.isLocked) {
+        return sendLockedResponse(user, res);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    // Two-factor users get a pre-auth token and must submit a code to finish logging in
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        twoFactorRequired: true,
+        preAuthToken: generatePreAuthToken(user, 'verify')
+      });
+    }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Users without 2FA must enroll first when the admin requires it for everyone
+    if (await Setting.getValue('requireTwoFactor', false)) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication setup required',
+        twoFactorSetupRequired: true,
+        preAuthToken: generatePreAuthToken(user, 'setup')
+      });
+    }
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        role: user.role,
-        lastLogin: user.lastLogin
-      }
-    });
+    await sendLoginResponse(user, req, res);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -95,7 +270,7 @@ router.post('/login', [
 // @route   GET /api/auth/verify
 // @desc    Verify token and get user info
 // @access  Private
-router.get('/verify', auth, async (req, res) => {
+router.get('/verify', allowExpiredPassword, auth, async (req, res) => {
   try {
     res.json({
       success: true,
@@ -103,6 +278,9 @@ router.get('/verify', auth, async (req, res) => {
         id: req.user._id,
         email: req.user.email,
         role: req.user.role,
+        permissions: getPermissions(req.user.role),
+        twoFactorEnabled: req.user.twoFactorEnabled,
+        passwordExpired: req.user.passwordExpired,
         lastLogin: req.user.lastLogin
       }
     });
@@ -115,17 +293,102 @@ router.get('/verify', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/login-history
+// @desc    Get login history of the current user (admins may pass userId or email)
+// @access  Private
+router.get('/login-history', [
+  auth,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('success').optional().isBoolean().withMessage('success must be a boolean'),
+  query('userId').optional().isMongoId().withMessage('Invalid user ID'),
+  query('email').optional().isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { userId, email, success } = req.query;
+
+    // Build filter object
+    let filter = { user: req.user._id };
+
+    if ((userId || email) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    if (userId) {
+      filter = { user: userId };
+    } else if (email) {
+      filter = { email: email.toLowerCase() };
+    }
+
+    if (success !== undefined) {
+      filter.success = success === 'true';
+    }
+
+    const attempts = await LoginAttempt.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await LoginAttempt.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: attempts,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching login history'
+    });
+  }
+});
+
+// @route   GET /api/auth/password-policy
+// @desc    Get the password rules enforced when setting a password
+// @access  Public
+router.get('/password-policy', (req, res) => {
+  res.json({
+    success: true,
+    data: passwordPolicy
+  });
+});
+
 // @route   POST /api/auth/change-password
 // @desc    Change admin password
 // @access  Private
 router.post('/change-password', [
+  allowExpiredPassword,
   auth,
   body('currentPassword')
     .isLength({ min: 6 })
     .withMessage('Current password is required'),
   body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -156,13 +419,28 @@ router.post('/change-password', [
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other session and hand this client fresh tokens
+    await user.revokeAllTokens();
+    const { token, refreshToken } = await issueTokens(user, req);
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      token,
+      refreshToken
     });
 
   } catch (error) {
     console.error('Change password error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => ({ field: err.path, code: err.kind, message: err.message }))
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error during password change'
@@ -170,14 +448,791 @@ router.post('/change-password', [
   }
 });
 
-// @route   POST /api/auth/logout
-// @desc    Logout (client-side token removal)
+// @route   POST /api/auth/2fa/verify
+// @desc    Finish a two-factor login with a TOTP or backup code
+// @access  Public (pre-auth token)
+router.post('/2fa/verify', [
+  body('preAuthToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Pre-auth token is required'),
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const decoded = verifyPreAuthToken(req.body.preAuthToken, 'verify');
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        message: 'Pre-auth token is invalid or has expired'
+      });
+    }
+
+    if (await throttleLoginAttempt(req)) {
+      await LoginAttempt.record(req, { user: { _id: decoded.id }, success: false, reason: 'ip_blocked' });
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts from this IP, please try again later.'
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    if (user.isLocked) {
+      await LoginAttempt.record(req, { user, success: false, reason: 'account_locked' });
+      return sendLockedResponse(user, res);
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      await user.registerFailedLogin();
+      await LoginAttempt.record(req, { user, success: false, reason: 'invalid_2fa_code' });
+
+      if (user.isLocked) {
+        return sendLockedResponse(user, res);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await sendLoginResponse(user, req, res, {
+      backupCodesRemaining: user.twoFactorBackupCodes.length
+    });
+
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor verification'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment and get the provisioning URI and QR code
+// @access  Private (or pre-auth token when 2FA setup is required)
+router.post('/2fa/setup', twoFactorSetupAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const otpauthUrl = user.createTwoFactorSecret();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret: user.twoFactorSecret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a TOTP code and receive backup codes
+// @access  Private (or pre-auth token when 2FA setup is required)
+router.post('/2fa/enable', [
+  twoFactorSetupAuth,
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    if (!user.verifyTotp(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    user.twoFactorEnabled = true;
+    const backupCodes = user.generateBackupCodes();
+
+    // Enrollment forced at login completes that login
+    if (req.preAuth) {
+      return await sendLoginResponse(user, req, res, { backupCodes });
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the backup codes somewhere safe.',
+      backupCodes
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
 // @access  Private
-router.post('/logout', auth, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logout successful'
-  });
+router.post('/2fa/disable', [
+  auth,
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password is required'),
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (await Setting.getValue('requireTwoFactor', false)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for all users'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid || !user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or verification code'
+      });
+    }
+
+    user.disableTwoFactor();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Regenerate backup codes (invalidates the previous ones)
+// @access  Private
+router.post('/2fa/backup-codes', [
+  auth,
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!user.verifyTotp(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const backupCodes = user.generateBackupCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Backup codes regenerated',
+      backupCodes
+    });
+
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while regenerating backup codes'
+    });
+  }
+});
+
+// @route   GET /api/auth/2fa/policy
+// @desc    Get whether two-factor authentication is required for all users
+// @access  Private (Admin)
+router.get('/2fa/policy', adminAuth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        required: await Setting.getValue('requireTwoFactor', false)
+      }
+    });
+  } catch (error) {
+    console.error('Get two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching two-factor policy'
+    });
+  }
+});
+
+// @route   PUT /api/auth/2fa/policy
+// @desc    Require (or stop requiring) two-factor authentication for all users
+// @access  Private (Admin)
+router.put('/2fa/policy', [
+  adminAuth,
+  body('required')
+    .isBoolean()
+    .toBoolean()
+    .withMessage('required must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await Setting.setValue('requireTwoFactor', req.body.required, req.user._id);
+
+    res.json({
+      success: true,
+      message: `Two-factor authentication is ${req.body.required ? 'now required' : 'no longer required'} for all users`,
+      data: {
+        required: req.body.required
+      }
+    });
+
+  } catch (error) {
+    console.error('Update two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating two-factor policy'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Request a password reset email
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Checked before the lookup so the answer does not depend on the account existing
+    if (!isMailConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Password reset by email is not available, contact an administrator'
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Only send mail to active accounts, but answer the same way either way
+    // so the endpoint cannot be used to discover registered emails
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+
+      const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
+
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your Herbs Dashboard password',
+          text: `A password reset was requested for your account.\n\n` +
+            `Open the link below to choose a new password:\n${resetUrl}\n\n` +
+            `The link expires in ${parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60} minutes. ` +
+            `If you did not request a reset, you can ignore this email.`
+        });
+      } catch (error) {
+        user.passwordResetTokenHash = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save();
+        throw error;
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a password reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('newPassword')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, newPassword } = req.body;
+
+    const user = await User.findOne({
+      passwordResetTokenHash: User.hashResetToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token is invalid or has expired'
+      });
+    }
+
+    // Update password and consume the token
+    user.password = newPassword;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Sign out every session opened with the old password
+    await user.revokeAllTokens();
+
+    res.json({
+      success: true,
+      message: 'Password has been reset successfully'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => ({ field: err.path, code: err.kind, message: err.message }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const storedToken = await RefreshToken.findOne({
+      tokenHash: RefreshToken.hashToken(req.body.refreshToken)
+    });
+
+    if (!storedToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    const user = await User.findById(storedToken.user);
+
+    if (storedToken.revokedAt) {
+      // A rotated token being replayed means it has leaked, so kill every session
+      if (user) {
+        await user.revokeAllTokens();
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has been revoked'
+      });
+    }
+
+    if (storedToken.isExpired) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token expired'
+      });
+    }
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    const session = storedToken.session && await Session.findById(storedToken.session);
+
+    if (storedToken.session && (!session || session.revokedAt)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been terminated'
+      });
+    }
+
+    // Rotate: the presented token is revoked and replaced by a new one. It is claimed
+    // atomically first, so of two requests with the same token only one gets new tokens
+    // and the other is handled as a replay.
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: storedToken._id, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    if (!claimed) {
+      await user.revokeAllTokens();
+
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has been revoked'
+      });
+    }
+
+    const { token, refreshToken } = await issueTokens(user, req, session || undefined);
+    await RefreshToken.updateOne(
+      { _id: storedToken._id },
+      { $set: { replacedByHash: RefreshToken.hashToken(refreshToken) } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      token,
+      refreshToken
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout current session (revokes access token and refresh token)
+// @access  Private
+router.post('/logout', allowExpiredPassword, auth, async (req, res) => {
+  try {
+    if (req.token?.jti) {
+      await RevokedToken.create({
+        jti: req.token.jti,
+        user: req.user._id,
+        expiresAt: new Date(req.token.exp * 1000)
+      });
+    }
+
+    if (req.authSession) {
+      req.authSession.revokedAt = new Date();
+      await req.authSession.save();
+      await RefreshToken.revokeAllForSession(req.authSession._id);
+    }
+
+    if (req.body.refreshToken) {
+      await RefreshToken.updateOne(
+        {
+          tokenHash: RefreshToken.hashToken(req.body.refreshToken),
+          user: req.user._id,
+          revokedAt: { $exists: false }
+        },
+        { $set: { revokedAt: new Date() } }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Get active login sessions of the current user
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        lastSeenIp: session.lastSeenIp,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        current: Boolean(req.authSession && req.authSession._id.equals(session._id))
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Terminate one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (!session.revokedAt) {
+      session.revokedAt = new Date();
+      await session.save();
+      await RefreshToken.revokeAllForSession(session._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Session terminated successfully'
+    });
+
+  } catch (error) {
+    console.error('Terminate session error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while terminating session'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke all sessions of the current user
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await req.user.revokeAllTokens();
+
+    res.json({
+      success: true,
+      message: 'All sessions have been revoked'
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking sessions'
+    });
+  }
+});
+
+// @route   POST /api/auth/revoke-all/:userId
+// @desc    Revoke all sessions of any user
+// @access  Private (Admin)
+router.post('/revoke-all/:userId', adminAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await user.revokeAllTokens();
+
+    res.json({
+      success: true,
+      message: 'All sessions of the user have been revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking sessions'
+    });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
@@ -2,14 +2,46 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Category = require('../models/Category');
 const Product = require('../models/Product');
-const { adminAuth } = require('../middleware/auth');
+const { requirePermission, optionalAuth, can } = require('../middleware/auth');
+const { textSearch, localize, parseTranslations, applyTranslations } = require('../config/i18n');
+const { purgeDate } = require('../jobs/purgeTrash');
+const { EXPORT_FORMATS, translationColumns, selectColumns, streamExport } = require('../config/export');
 
 const router = express.Router();
 
+// Columns available to category exports
+const EXPORT_COLUMNS = {
+  id: category => category._id,
+  name: category => category.name,
+  slug: category => category.slug,
+  is_active: category => category.isActive,
+  created_at: category => category.createdAt,
+  updated_at: category => category.updatedAt,
+  ...translationColumns(Category.LOCALIZED_FIELDS)
+};
+
+// Build the category listing filter from the query string, shared by the listing and the export
+const buildCategoryFilter = (req) => {
+  const { search, isActive } = req.query;
+
+  let filter = {};
+
+  if (isActive !== undefined) {
+    filter.isActive = isActive === 'true';
+  }
+
+  if (search) {
+    filter.$text = textSearch(search, req.lang);
+  }
+
+  return filter;
+};
+
 // @route   GET /api/categories
 // @desc    Get all categories with product counts
-// @access  Public
+// @access  Public (product counts include unpublished products for dashboard users)
 router.get('/', [
+  optionalAuth,
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('search').optional().isLength({ max: 100 }).withMessage('Search term too long')
@@ -27,18 +59,7 @@ router.get('/', [
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
     const skip = (page - 1) * limit;
-    const { search, isActive } = req.query;
-
-    // Build filter object
-    let filter = {};
-    
-    if (isActive !== undefined) {
-      filter.isActive = isActive === 'true';
-    }
-    
-    if (search) {
-      filter.$text = { $search: search };
-    }
+    const filter = buildCategoryFilter(req);
 
     // Get categories with pagination
     const categories = await Category.find(filter)
@@ -48,6 +69,7 @@ router.get('/', [
 
     // Get product counts for each category
     const productCounts = await Product.aggregate([
+      { $match: can(req, 'products:read') ? {} : Product.publishedFilter() },
       {
         $group: {
           _id: '$category',
@@ -68,7 +90,7 @@ router.get('/', [
 
     // Add counts to categories
     const categoriesWithCounts = categories.map(category => ({
-      ...category.toObject(),
+      ...localize(category, Category.LOCALIZED_FIELDS, req.lang),
       productCount: countsMap[category._id.toString()]?.total || 0,
       inStockCount: countsMap[category._id.toString()]?.inStock || 0
     }));
@@ -78,6 +100,7 @@ router.get('/', [
 
     res.json({
       success: true,
+      language: req.lang,
       data: categoriesWithCounts,
       pagination: {
         current: page,
@@ -96,10 +119,106 @@ router.get('/', [
   }
 });
 
+// @route   GET /api/categories/trash
+// @desc    Get deleted categories waiting to be purged
+// @access  Private (categories:read)
+router.get('/trash', requirePermission('categories:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const filter = { deletedAt: { $ne: null } };
+
+    const categories = await Category.find(filter)
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('deletedBy', 'email');
+
+    // Get total count for pagination
+    const total = await Category.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: categories.map(category => ({
+        ...category.toObject(),
+        purgeAt: purgeDate(category.deletedAt)
+      })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get category trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching deleted categories'
+    });
+  }
+});
+
+// @route   GET /api/categories/export
+// @desc    Download every category matching the listing filters as CSV, XLSX or NDJSON
+//          (format, columns=name,...)
+// @access  Private (categories:read)
+router.get('/export', [
+  requirePermission('categories:read'),
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage(`Format must be one of ${EXPORT_FORMATS.join(', ')}`),
+  query('search').optional().isLength({ max: 100 }).withMessage('Search term too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { columns, unknown } = selectColumns(req.query.columns, EXPORT_COLUMNS);
+
+    if (unknown.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown columns: ${unknown.join(', ')}`,
+        columns: Object.keys(EXPORT_COLUMNS)
+      });
+    }
+
+    const cursor = Category.find(buildCategoryFilter(req))
+      .sort({ createdAt: -1 })
+      .cursor();
+
+    await streamExport(res, cursor, {
+      format: req.query.format || 'csv',
+      columns,
+      available: EXPORT_COLUMNS,
+      filename: 'categories'
+    });
+
+  } catch (error) {
+    console.error('Export categories error:', error);
+
+    if (res.headersSent) {
+      return res.destroy();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting categories'
+    });
+  }
+});
+
 // @route   GET /api/categories/:id
 // @desc    Get single category with products
-// @access  Public
-router.get('/:id', async (req, res) => {
+// @access  Public (unpublished products only for dashboard users with products:read)
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const category = await Category.findById(req.params.id);
     
@@ -111,12 +230,17 @@ router.get('/:id', async (req, res) => {
     }
 
     // Get products in this category
-    const products = await Product.find({ category: category._id })
+    const productFilter = {
+      ...(can(req, 'products:read') ? {} : Product.publishedFilter()),
+      category: category._id
+    };
+
+    const products = await Product.find(productFilter)
       .sort({ createdAt: -1 });
 
     // Get category statistics
     const stats = await Product.aggregate([
-      { $match: { category: category._id } },
+      { $match: productFilter },
       {
         $group: {
           _id: null,
@@ -130,9 +254,10 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       success: true,
+      language: req.lang,
       data: {
-        category,
-        products,
+        category: localize(category, Category.LOCALIZED_FIELDS, req.lang),
+        products: products.map(product => localize(product, Product.LOCALIZED_FIELDS, req.lang)),
         stats: stats[0] || { total: 0, inStock: 0, featured: 0, avgPrice: 0 }
       }
     });
@@ -156,13 +281,17 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/categories
 // @desc    Create new category
-// @access  Private (Admin)
+// @access  Private (categories:create)
 router.post('/', [
-  adminAuth,
+  requirePermission('categories:create'),
   body('name')
     .trim()
     .isLength({ min: 1, max: 50 })
-    .withMessage('Category name must be between 1 and 50 characters')
+    .withMessage('Category name must be between 1 and 50 characters'),
+  body('translations')
+    .optional()
+    .custom(value => Boolean(parseTranslations(value, Category.LOCALIZED_FIELDS)))
+    .withMessage('Translations must be an object keyed by language')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -174,7 +303,7 @@ router.post('/', [
       });
     }
 
-    const { name } = req.body;
+    const { name, translations } = req.body;
 
     // Check if category name already exists
     const existingCategory = await Category.findOne({ 
@@ -193,6 +322,7 @@ router.post('/', [
     };
 
     const category = new Category(categoryData);
+    if (translations) applyTranslations(category, parseTranslations(translations, Category.LOCALIZED_FIELDS));
     await category.save();
 
     res.status(201).json({
@@ -228,14 +358,18 @@ router.post('/', [
 
 // @route   PUT /api/categories/:id
 // @desc    Update category
-// @access  Private (Admin)
+// @access  Private (categories:update)
 router.put('/:id', [
-  adminAuth,
+  requirePermission('categories:update'),
   body('name')
     .optional()
     .trim()
     .isLength({ min: 1, max: 50 })
-    .withMessage('Category name must be between 1 and 50 characters')
+    .withMessage('Category name must be between 1 and 50 characters'),
+  body('translations')
+    .optional()
+    .custom(value => Boolean(parseTranslations(value, Category.LOCALIZED_FIELDS)))
+    .withMessage('Translations must be an object keyed by language')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -256,7 +390,7 @@ router.put('/:id', [
       });
     }
 
-    const { name, isActive } = req.body;
+    const { name, isActive, translations } = req.body;
 
     // Check if new name already exists (excluding current category)
     if (name && name !== category.name) {
@@ -276,6 +410,7 @@ router.put('/:id', [
     // Update fields
     if (name) category.name = name;
     if (isActive !== undefined) category.isActive = isActive === 'true';
+    if (translations) applyTranslations(category, parseTranslations(translations, Category.LOCALIZED_FIELDS));
 
     await category.save();
 
@@ -317,10 +452,64 @@ router.put('/:id', [
   }
 });
 
+// @route   PUT /api/categories/:id/restore
+// @desc    Restore a deleted category from the trash
+// @access  Private (categories:delete)
+router.put('/:id/restore', requirePermission('categories:delete'), async (req, res) => {
+  try {
+    const category = await Category.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found in trash'
+      });
+    }
+
+    await category.restore();
+
+    res.json({
+      success: true,
+      message: 'Category restored successfully',
+      data: category
+    });
+
+  } catch (error) {
+    console.error('Restore category error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Another category now uses this name, rename it before restoring'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring category'
+    });
+  }
+});
+
 // @route   DELETE /api/categories/:id
-// @desc    Delete category
-// @access  Private (Admin)
-router.delete('/:id', adminAuth, async (req, res) => {
+// @desc    Move category to the trash
+// @access  Private (categories:delete)
+router.delete('/:id', requirePermission('categories:delete'), async (req, res) => {
   try {
     const category = await Category.findById(req.params.id);
     
@@ -331,21 +520,22 @@ router.delete('/:id', adminAuth, async (req, res) => {
       });
     }
 
-    // Check if category has products
-    const productCount = await Product.countDocuments({ category: category._id });
+    // Check if category has products, including products in the trash which could otherwise
+    // be restored into a purged category
+    const productCount = await Product.countDocuments({ category: category._id }).withDeleted();
     
     if (productCount > 0) {
       return res.status(400).json({
         success: false,
-        message: `Cannot delete category. It has ${productCount} products. Please move or delete the products first.`
+        message: `Cannot delete category. It has ${productCount} products, including products in the trash. Please move the products or empty them from the trash first.`
       });
     }
 
-    await Category.findByIdAndDelete(req.params.id);
+    await category.softDelete(req.user._id);
 
     res.json({
       success: true,
-      message: 'Category deleted successfully'
+      message: 'Category moved to trash'
     });
 
   } catch (error) {
@@ -367,8 +557,8 @@ router.delete('/:id', adminAuth, async (req, res) => {
 
 // @route   GET /api/categories/stats/overview
 // @desc    Get categories overview statistics
-// @access  Private (Admin)
-router.get('/stats/overview', adminAuth, async (req, res) => {
+// @access  Private (categories:read)
+router.get('/stats/overview', requirePermission('categories:read'), async (req, res) => {
   try {
     // Get comprehensive statistics
     const stats = await Product.aggregate([
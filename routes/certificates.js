@@ -1,11 +1,55 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Certificate = require('../models/Certificate');
-const { adminAuth } = require('../middleware/auth');
-const { uploadCertificate, deleteImage, extractPublicId } = require('../config/cloudinary');
+const Product = require('../models/Product');
+const Revision = require('../models/Revision');
+const { requirePermission, optionalAuth, can } = require('../middleware/auth');
+const { textSearch, localize, parseTranslations, applyTranslations } = require('../config/i18n');
+const { uploadCertificate, extractPublicId } = require('../config/cloudinary');
+const { purgeDate } = require('../jobs/purgeTrash');
+const { EXPORT_FORMATS, translationColumns, selectColumns, streamExport } = require('../config/export');
 
 const router = express.Router();
 
+// Columns available to certificate exports
+const EXPORT_COLUMNS = {
+  id: certificate => certificate._id,
+  name: certificate => certificate.name,
+  description: certificate => certificate.description,
+  issuer: certificate => certificate.issuer,
+  certificate_number: certificate => certificate.certificateNumber,
+  category: certificate => certificate.category,
+  issue_date: certificate => certificate.issueDate,
+  expiry_date: certificate => certificate.expiryDate,
+  is_active: certificate => certificate.isActive,
+  image: certificate => certificate.image,
+  document_url: certificate => certificate.documentUrl,
+  created_at: certificate => certificate.createdAt,
+  updated_at: certificate => certificate.updatedAt,
+  ...translationColumns(Certificate.LOCALIZED_FIELDS)
+};
+
+// Build the certificate listing filter from the query string, shared by the listing and the export
+const buildCertificateFilter = (req) => {
+  const { category, search, isActive } = req.query;
+
+  let filter = {};
+
+  if (category) {
+    filter.category = category;
+  }
+
+  if (isActive !== undefined) {
+    filter.isActive = isActive === 'true';
+  }
+
+  if (search) {
+    filter.$text = textSearch(search, req.lang);
+  }
+
+  return filter;
+};
+
 // @route   GET /api/certificates
 // @desc    Get all certificates with filtering and pagination
 // @access  Public
@@ -28,22 +72,7 @@ router.get('/', [
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
-    const { category, search, isActive } = req.query;
-
-    // Build filter object
-    let filter = {};
-    
-    if (category) {
-      filter.category = category;
-    }
-    
-    if (isActive !== undefined) {
-      filter.isActive = isActive === 'true';
-    }
-    
-    if (search) {
-      filter.$text = { $search: search };
-    }
+    const filter = buildCertificateFilter(req);
 
     // Get certificates with pagination
     const certificates = await Certificate.find(filter)
@@ -56,7 +85,8 @@ router.get('/', [
 
     res.json({
       success: true,
-      data: certificates,
+      language: req.lang,
+      data: certificates.map(certificate => localize(certificate, Certificate.LOCALIZED_FIELDS, req.lang)),
       pagination: {
         current: page,
         pages: Math.ceil(total / limit),
@@ -74,10 +104,107 @@ router.get('/', [
   }
 });
 
+// @route   GET /api/certificates/trash
+// @desc    Get deleted certificates waiting to be purged
+// @access  Private (certificates:read)
+router.get('/trash', requirePermission('certificates:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const filter = { deletedAt: { $ne: null } };
+
+    const certificates = await Certificate.find(filter)
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('deletedBy', 'email');
+
+    // Get total count for pagination
+    const total = await Certificate.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: certificates.map(certificate => ({
+        ...certificate.toObject(),
+        purgeAt: purgeDate(certificate.deletedAt)
+      })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get certificate trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching deleted certificates'
+    });
+  }
+});
+
+// @route   GET /api/certificates/export
+// @desc    Download every certificate matching the listing filters as CSV, XLSX or NDJSON
+//          (format, columns=name,...)
+// @access  Private (certificates:read)
+router.get('/export', [
+  requirePermission('certificates:read'),
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage(`Format must be one of ${EXPORT_FORMATS.join(', ')}`),
+  query('category').optional().isIn(['quality', 'organic', 'safety', 'environmental', 'other']).withMessage('Invalid category'),
+  query('search').optional().isLength({ max: 100 }).withMessage('Search term too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { columns, unknown } = selectColumns(req.query.columns, EXPORT_COLUMNS);
+
+    if (unknown.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown columns: ${unknown.join(', ')}`,
+        columns: Object.keys(EXPORT_COLUMNS)
+      });
+    }
+
+    const cursor = Certificate.find(buildCertificateFilter(req))
+      .sort({ createdAt: -1 })
+      .cursor();
+
+    await streamExport(res, cursor, {
+      format: req.query.format || 'csv',
+      columns,
+      available: EXPORT_COLUMNS,
+      filename: 'certificates'
+    });
+
+  } catch (error) {
+    console.error('Export certificates error:', error);
+
+    if (res.headersSent) {
+      return res.destroy();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting certificates'
+    });
+  }
+});
+
 // @route   GET /api/certificates/:id
-// @desc    Get single certificate
-// @access  Public
-router.get('/:id', async (req, res) => {
+// @desc    Get single certificate with the products it covers
+// @access  Public (unpublished products and expiry warnings only for dashboard users with products:read)
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const certificate = await Certificate.findById(req.params.id);
     
@@ -88,9 +215,26 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    const products = await Product.find({
+      ...(can(req, 'products:read') ? {} : Product.publishedFilter()),
+      certifications: certificate._id
+    })
+      .select('name translations image status')
+      .sort({ name: 1 });
+
+    const warnings = certificate.isExpired && products.length
+      ? [`Certificate expired on ${certificate.expiryDate.toISOString().slice(0, 10)} and still covers ${products.length} product(s)`]
+      : [];
+
     res.json({
       success: true,
-      data: certificate
+      language: req.lang,
+      data: {
+        ...localize(certificate, Certificate.LOCALIZED_FIELDS, req.lang),
+        isExpired: certificate.isExpired,
+        products: products.map(product => localize(product, Product.LOCALIZED_FIELDS, req.lang))
+      },
+      ...(can(req, 'products:read') && { warnings })
     });
 
   } catch (error) {
@@ -112,9 +256,9 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/certificates
 // @desc    Create new certificate
-// @access  Private (Admin)
+// @access  Private (certificates:create)
 router.post('/', [
-  adminAuth,
+  requirePermission('certificates:create'),
   uploadCertificate.single('image'),
   body('name')
     .trim()
@@ -137,7 +281,11 @@ router.post('/', [
     .optional()
     .trim()
     .isLength({ max: 50 })
-    .withMessage('Certificate number cannot exceed 50 characters')
+    .withMessage('Certificate number cannot exceed 50 characters'),
+  body('translations')
+    .optional()
+    .custom(value => Boolean(parseTranslations(value, Certificate.LOCALIZED_FIELDS)))
+    .withMessage('Translations must be an object keyed by language')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -149,7 +297,7 @@ router.post('/', [
       });
     }
 
-    const { name, description, category, issuer, certificateNumber, issueDate, expiryDate, documentUrl } = req.body;
+    const { name, description, category, issuer, certificateNumber, issueDate, expiryDate, documentUrl, translations } = req.body;
 
     // Check if image was uploaded or URL provided
     let imageUrl, imagePublicId;
@@ -182,7 +330,9 @@ router.post('/', [
     if (documentUrl) certificateData.documentUrl = documentUrl;
 
     const certificate = new Certificate(certificateData);
+    if (translations) applyTranslations(certificate, parseTranslations(translations, Certificate.LOCALIZED_FIELDS));
     await certificate.save();
+    await Revision.record(certificate, { author: req.user._id, action: 'create' });
 
     res.status(201).json({
       success: true,
@@ -210,9 +360,9 @@ router.post('/', [
 
 // @route   PUT /api/certificates/:id
 // @desc    Update certificate
-// @access  Private (Admin)
+// @access  Private (certificates:update)
 router.put('/:id', [
-  adminAuth,
+  requirePermission('certificates:update'),
   uploadCertificate.single('image'),
   body('name')
     .optional()
@@ -237,7 +387,11 @@ router.put('/:id', [
     .optional()
     .trim()
     .isLength({ max: 50 })
-    .withMessage('Certificate number cannot exceed 50 characters')
+    .withMessage('Certificate number cannot exceed 50 characters'),
+  body('translations')
+    .optional()
+    .custom(value => Boolean(parseTranslations(value, Certificate.LOCALIZED_FIELDS)))
+    .withMessage('Translations must be an object keyed by language')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -258,31 +412,17 @@ router.put('/:id', [
       });
     }
 
-    const { name, description, category, issuer, certificateNumber, issueDate, expiryDate, documentUrl, isActive } = req.body;
+    // Snapshot before the update, used as baseline for certificates without revision history
+    const previous = Revision.snapshotOf(certificate);
 
-    // Handle image update
+    const { name, description, category, issuer, certificateNumber, issueDate, expiryDate, documentUrl, isActive, translations } = req.body;
+
+    // Handle image update, the old image stays in Cloudinary for revision history
+    // until the certificate is deleted
     if (req.file) {
-      // Delete old image if it exists and was uploaded to Cloudinary
-      if (certificate.imagePublicId) {
-        try {
-          await deleteImage(certificate.imagePublicId);
-        } catch (error) {
-          console.error('Error deleting old image:', error);
-        }
-      }
-      
       certificate.image = req.file.path;
       certificate.imagePublicId = req.file.filename;
     } else if (req.body.imageUrl && req.body.imageUrl !== certificate.image) {
-      // Delete old image if switching to URL
-      if (certificate.imagePublicId) {
-        try {
-          await deleteImage(certificate.imagePublicId);
-        } catch (error) {
-          console.error('Error deleting old image:', error);
-        }
-      }
-      
       certificate.image = req.body.imageUrl;
       certificate.imagePublicId = undefined;
     }
@@ -297,8 +437,10 @@ router.put('/:id', [
     if (expiryDate) certificate.expiryDate = new Date(expiryDate);
     if (documentUrl) certificate.documentUrl = documentUrl;
     if (isActive !== undefined) certificate.isActive = isActive === 'true';
+    if (translations) applyTranslations(certificate, parseTranslations(translations, Certificate.LOCALIZED_FIELDS));
 
     await certificate.save();
+    await Revision.record(certificate, { author: req.user._id, previous });
 
     res.json({
       success: true,
@@ -331,10 +473,57 @@ router.put('/:id', [
   }
 });
 
+// @route   PUT /api/certificates/:id/restore
+// @desc    Restore a deleted certificate from the trash
+// @access  Private (certificates:delete)
+router.put('/:id/restore', requirePermission('certificates:delete'), async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certificate not found in trash'
+      });
+    }
+
+    await certificate.restore();
+
+    res.json({
+      success: true,
+      message: 'Certificate restored successfully',
+      data: certificate
+    });
+
+  } catch (error) {
+    console.error('Restore certificate error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid certificate ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring certificate'
+    });
+  }
+});
+
 // @route   DELETE /api/certificates/:id
-// @desc    Delete certificate
-// @access  Private (Admin)
-router.delete('/:id', adminAuth, async (req, res) => {
+// @desc    Move certificate to the trash
+// @access  Private (certificates:delete)
+router.delete('/:id', requirePermission('certificates:delete'), async (req, res) => {
   try {
     const certificate = await Certificate.findById(req.params.id);
     
@@ -345,20 +534,12 @@ router.delete('/:id', adminAuth, async (req, res) => {
       });
     }
 
-    // Delete image from Cloudinary if it exists
-    if (certificate.imagePublicId) {
-      try {
-        await deleteImage(certificate.imagePublicId);
-      } catch (error) {
-        console.error('Error deleting image:', error);
-      }
-    }
-
-    await Certificate.findByIdAndDelete(req.params.id);
+    // Images and revision history are removed when the certificate is purged from the trash
+    await certificate.softDelete(req.user._id);
 
     res.json({
       success: true,
-      message: 'Certificate deleted successfully'
+      message: 'Certificate moved to trash'
     });
 
   } catch (error) {
@@ -378,4 +559,200 @@ router.delete('/:id', adminAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/certificates/:id/revisions
+// @desc    Get the revision history of a certificate
+// @access  Private (certificates:read)
+router.get('/:id/revisions', requirePermission('certificates:read'), async (req, res) => {
+  try {
+    const revisions = await Revision.find({ resourceType: 'Certificate', resource: req.params.id })
+      .select('-snapshot')
+      .sort({ version: -1 })
+      .populate('author', 'email');
+
+    res.json({
+      success: true,
+      data: revisions
+    });
+
+  } catch (error) {
+    console.error('Get certificate revisions error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid certificate ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching certificate revisions'
+    });
+  }
+});
+
+// @route   GET /api/certificates/:id/revisions/diff
+// @desc    Compare two revisions of a certificate (?from=&to=, to defaults to the latest revision)
+// @access  Private (certificates:read)
+router.get('/:id/revisions/diff', requirePermission('certificates:read'), async (req, res) => {
+  try {
+    const from = parseInt(req.query.from);
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : undefined;
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be revision numbers'
+      });
+    }
+
+    const fromRevision = await Revision.findOne({ resourceType: 'Certificate', resource: req.params.id, version: from });
+    const toRevision = to !== undefined
+      ? await Revision.findOne({ resourceType: 'Certificate', resource: req.params.id, version: to })
+      : await Revision.findOne({ resourceType: 'Certificate', resource: req.params.id }).sort({ version: -1 });
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: fromRevision.version,
+        to: toRevision.version,
+        changes: Revision.diff(fromRevision.snapshot, toRevision.snapshot)
+      }
+    });
+
+  } catch (error) {
+    console.error('Diff certificate revisions error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid certificate ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while comparing certificate revisions'
+    });
+  }
+});
+
+// @route   GET /api/certificates/:id/revisions/:version
+// @desc    Get a single revision of a certificate with its snapshot
+// @access  Private (certificates:read)
+router.get('/:id/revisions/:version', requirePermission('certificates:read'), async (req, res) => {
+  try {
+    const revision = await Revision.findOne({
+      resourceType: 'Certificate',
+      resource: req.params.id,
+      version: parseInt(req.params.version)
+    }).populate('author', 'email');
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+
+  } catch (error) {
+    console.error('Get certificate revision error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid certificate ID or revision number'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching certificate revision'
+    });
+  }
+});
+
+// @route   POST /api/certificates/:id/revisions/:version/restore
+// @desc    Restore a certificate to an earlier revision, including its image
+// @access  Private (certificates:update)
+router.post('/:id/revisions/:version/restore', requirePermission('certificates:update'), async (req, res) => {
+  try {
+    const certificate = await Certificate.findById(req.params.id);
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certificate not found'
+      });
+    }
+
+    const revision = await Revision.findOne({
+      resourceType: 'Certificate',
+      resource: certificate._id,
+      version: parseInt(req.params.version)
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const previous = Revision.snapshotOf(certificate);
+
+    Revision.applySnapshot(certificate, revision.snapshot);
+    await certificate.save();
+
+    const restored = await Revision.record(certificate, {
+      author: req.user._id,
+      action: 'restore',
+      previous,
+      restoredFrom: revision.version
+    });
+
+    res.json({
+      success: true,
+      message: `Certificate restored to revision ${revision.version}`,
+      data: certificate,
+      revision: restored.version
+    });
+
+  } catch (error) {
+    console.error('Restore certificate revision error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid certificate ID or revision number'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring certificate revision'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,8 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Contact = require('../models/Contact');
-const { adminAuth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { purgeDate } = require('../jobs/purgeTrash');
 
 const router = express.Router();
 
@@ -61,6 +62,48 @@ router.get('/', [
   }
 });
 
+// @route   GET /api/contact/trash
+// @desc    Get deleted contact methods waiting to be purged
+// @access  Private (contact:read)
+router.get('/trash', requirePermission('contact:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const filter = { deletedAt: { $ne: null } };
+
+    const contacts = await Contact.find(filter)
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('deletedBy', 'email');
+
+    // Get total count for pagination
+    const total = await Contact.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: contacts.map(contact => ({
+        ...contact.toObject(),
+        purgeAt: purgeDate(contact.deletedAt)
+      })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get contact method trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching deleted contact methods'
+    });
+  }
+});
+
 // @route   GET /api/contact/:id
 // @desc    Get single contact method
 // @access  Public
@@ -99,9 +142,9 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/contact
 // @desc    Create new contact method
-// @access  Private (Admin)
+// @access  Private (contact:create)
 router.post('/', [
-  adminAuth,
+  requirePermission('contact:create'),
   body('type')
     .trim()
     .isLength({ min: 1, max: 50 })
@@ -177,9 +220,9 @@ router.post('/', [
 
 // @route   PUT /api/contact/:id
 // @desc    Update contact method
-// @access  Private (Admin)
+// @access  Private (contact:update)
 router.put('/:id', [
-  adminAuth,
+  requirePermission('contact:update'),
   body('type')
     .optional()
     .trim()
@@ -270,10 +313,57 @@ router.put('/:id', [
   }
 });
 
+// @route   PUT /api/contact/:id/restore
+// @desc    Restore a deleted contact method from the trash
+// @access  Private (contact:delete)
+router.put('/:id/restore', requirePermission('contact:delete'), async (req, res) => {
+  try {
+    const contact = await Contact.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact method not found in trash'
+      });
+    }
+
+    await contact.restore();
+
+    res.json({
+      success: true,
+      message: 'Contact method restored successfully',
+      data: contact
+    });
+
+  } catch (error) {
+    console.error('Restore contact method error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid contact ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring contact method'
+    });
+  }
+});
+
 // @route   DELETE /api/contact/:id
-// @desc    Delete contact method
-// @access  Private (Admin)
-router.delete('/:id', adminAuth, async (req, res) => {
+// @desc    Move contact method to the trash
+// @access  Private (contact:delete)
+router.delete('/:id', requirePermission('contact:delete'), async (req, res) => {
   try {
     const contact = await Contact.findById(req.params.id);
     
@@ -284,11 +374,11 @@ router.delete('/:id', adminAuth, async (req, res) => {
       });
     }
 
-    await Contact.findByIdAndDelete(req.params.id);
+    await contact.softDelete(req.user._id);
 
     res.json({
       success: true,
-      message: 'Contact method deleted successfully'
+      message: 'Contact method moved to trash'
     });
 
   } catch (error) {
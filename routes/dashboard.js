@@ -5,10 +5,11 @@ const Product = require('../models/Product');
 const Certificate = require('../models/Certificate');
 const Team = require('../models/TeamMember');
 const Message = require('../models/Message');
+const { requirePermission } = require('../middleware/auth');
 // const Contact = require('../models/Contact'); // Not needed if using Message model
 
-// Get dashboard overview data
-router.get('/overview', async (req, res) => {
+// Get dashboard overview data, it lists records of every resource so each one must be readable
+router.get('/overview', requirePermission('categories:read', 'products:read', 'certificates:read', 'team:read', 'messages:read'), async (req, res) => {
   try {
     // Get counts for all entities
     const [
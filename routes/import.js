@@ -0,0 +1,548 @@
+const express = require('express');
+const multer = require('multer');
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Certificate = require('../models/Certificate');
+const Revision = require('../models/Revision');
+const { requirePermission, can } = require('../middleware/auth');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../config/i18n');
+
+const router = express.Router();
+
+const PLACEHOLDER_IMAGE = 'https://via.placeholder.com/300x300?text=No+Image';
+const MAX_ROWS = 5000;
+
+// Spreadsheet columns in template order, translations of the localized fields use a
+// language suffix (name_ar, description_ar)
+const TEMPLATE_COLUMNS = [
+  'name',
+  'description',
+  'category',
+  'price',
+  'tags',
+  'origin',
+  'certifications',
+  'sku',
+  'weight',
+  'unit',
+  'grade',
+  'featured',
+  'status',
+  'reorder_threshold',
+  ...LANGUAGES.filter(lang => lang !== DEFAULT_LANGUAGE)
+    .flatMap(lang => Product.LOCALIZED_FIELDS.map(field => `${field}_${lang}`))
+];
+
+// Headers are matched case-insensitively, ignoring spaces, dashes and underscores
+const normalizeHeader = (header) => String(header || '').trim().toLowerCase().replace(/[\s_-]+/g, '');
+
+// Normalized header -> product field path
+const COLUMNS = Object.fromEntries(TEMPLATE_COLUMNS.map(column => {
+  const [field, lang] = column.split('_');
+  const path = LANGUAGES.includes(lang) ? `translations.${lang}.${field}` : column.replace(/_(\w)/g, (match, letter) => letter.toUpperCase());
+  return [normalizeHeader(column), path];
+}));
+
+// Keep spreadsheets in memory, they are parsed and discarded within the request
+const uploadSpreadsheet = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      const error = new Error('Only CSV and XLSX files are allowed');
+      error.status = 400;
+      cb(error, false);
+    }
+  }
+});
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Read the first sheet of an uploaded file into [{ row, cells }], row being the line
+// number shown by spreadsheet programs
+const readSpreadsheet = async (file) => {
+  if (/\.xlsx$/i.test(file.originalname)) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+
+    const worksheet = workbook.worksheets[0];
+    const table = [];
+
+    if (worksheet) {
+      worksheet.eachRow((row, rowNumber) => {
+        const cells = [];
+        for (let column = 1; column <= worksheet.columnCount; column++) {
+          cells.push(row.getCell(column).text);
+        }
+        table.push({ row: rowNumber, cells });
+      });
+    }
+
+    return table;
+  }
+
+  const records = parse(file.buffer, {
+    bom: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    info: true
+  });
+
+  return records.map(({ record, info }) => ({ row: info.lines, cells: record }));
+};
+
+// Category lookup by ID, slug or name in any language
+const loadCategories = async () => {
+  const categories = await Category.find().select('name slug translations');
+  const lookup = new Map();
+
+  categories.forEach(category => {
+    const names = [
+      category.name,
+      ...LANGUAGES.map(lang => category.translations && category.translations[lang] && category.translations[lang].name)
+    ];
+
+    lookup.set(category._id.toString(), category);
+    lookup.set(category.slug, category);
+    names.filter(Boolean).forEach(name => lookup.set(name.trim().toLowerCase(), category));
+  });
+
+  return lookup;
+};
+
+// Certificate lookup by ID, certificate number or name in any language
+const loadCertificates = async () => {
+  const certificates = await Certificate.find().select('name certificateNumber translations');
+  const lookup = new Map();
+
+  certificates.forEach(certificate => {
+    const names = [
+      certificate.name,
+      certificate.certificateNumber,
+      ...LANGUAGES.map(lang => certificate.translations && certificate.translations[lang] && certificate.translations[lang].name)
+    ];
+
+    lookup.set(certificate._id.toString(), certificate);
+    names.filter(Boolean).forEach(name => lookup.set(name.trim().toLowerCase(), certificate));
+  });
+
+  return lookup;
+};
+
+const splitList = (value) => value.split(/[,;]/).map(item => item.trim()).filter(Boolean);
+
+const parseBoolean = (value) => {
+  const normalized = value.toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(normalized)) return true;
+  if (['false', 'no', 'n', '0'].includes(normalized)) return false;
+  return undefined;
+};
+
+// Convert the cells of a row into product values. Blank cells are left out so that
+// they keep the current value of an existing product.
+const parseRow = (values, { categories, certificates }) => {
+  const data = { translations: {} };
+  const errors = [];
+
+  Object.entries(values).forEach(([path, raw]) => {
+    const value = String(raw === undefined || raw === null ? '' : raw).trim();
+
+    if (!value) return;
+
+    if (path.startsWith('translations.')) {
+      const [, lang, field] = path.split('.');
+      data.translations[lang] = { ...data.translations[lang], [field]: value };
+      return;
+    }
+
+    switch (path) {
+      case 'category': {
+        const category = categories.get(value) || categories.get(value.toLowerCase());
+        if (category) {
+          data.category = category._id;
+        } else {
+          errors.push(`Category "${value}" not found`);
+        }
+        break;
+      }
+      case 'price':
+      case 'weight': {
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < 0 || (path === 'weight' && number === 0)) {
+          errors.push(path === 'price' ? 'Price must be a non-negative number' : 'Weight must be a positive number');
+        } else {
+          data[path] = number;
+        }
+        break;
+      }
+      case 'reorderThreshold': {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 0) {
+          errors.push('Reorder threshold must be a non-negative integer');
+        } else {
+          data.reorderThreshold = number;
+        }
+        break;
+      }
+      case 'tags':
+        data.tags = splitList(value);
+        break;
+      case 'certifications': {
+        const names = splitList(value);
+        const missing = names.filter(name => !certificates.get(name) && !certificates.get(name.toLowerCase()));
+        if (missing.length) {
+          errors.push(`Certificates not found: ${missing.join(', ')}`);
+        } else {
+          data.certifications = [...new Set(names.map(name => (certificates.get(name) || certificates.get(name.toLowerCase()))._id.toString()))];
+        }
+        break;
+      }
+      case 'featured':
+        data.featured = parseBoolean(value);
+        if (data.featured === undefined) {
+          errors.push('Featured must be true or false');
+        }
+        break;
+      case 'sku':
+        data.sku = value.toUpperCase();
+        if (!/^[A-Z0-9_-]{1,40}$/.test(data.sku)) {
+          errors.push('SKU may only contain letters, numbers, dashes and underscores');
+        }
+        break;
+      case 'unit':
+        data.unit = value.toLowerCase();
+        if (!Product.getVariantUnits().includes(data.unit)) {
+          errors.push(`Unit must be one of ${Product.getVariantUnits().join(', ')}`);
+        }
+        break;
+      case 'grade':
+        data.grade = value.toLowerCase();
+        if (!Product.getVariantGrades().includes(data.grade)) {
+          errors.push(`Grade must be one of ${Product.getVariantGrades().join(', ')}`);
+        }
+        break;
+      case 'status':
+        data.status = value.toLowerCase();
+        if (!Product.getStatuses().includes(data.status)) {
+          errors.push(`Status must be one of ${Product.getStatuses().join(', ')}`);
+        }
+        break;
+      default:
+        data[path] = value;
+    }
+  });
+
+  if (!data.name && !data.sku) {
+    errors.push('Name or SKU is required');
+  }
+
+  if (!data.sku && (data.weight !== undefined || data.unit || data.grade)) {
+    errors.push('Weight, unit and grade describe a variant and require a SKU');
+  }
+
+  return { data, errors };
+};
+
+// Tracks the products touched by an import so that later rows see earlier ones
+const createImportContext = () => ({
+  entries: new Map(), // product ID -> { product, isNew, previous, rows }
+  skus: new Map(),
+  names: new Map()
+});
+
+const trackProduct = (context, product, isNew) => {
+  const id = product._id.toString();
+
+  if (!context.entries.has(id)) {
+    context.entries.set(id, {
+      product,
+      isNew,
+      previous: isNew ? undefined : Revision.snapshotOf(product),
+      rows: []
+    });
+  }
+
+  context.names.set(product.name.toLowerCase(), product);
+  product.variants.forEach(variant => context.skus.set(variant.sku, product));
+
+  return context.entries.get(id);
+};
+
+// Find the product a row updates: by variant SKU first, then by name
+const findProduct = async (data, context) => {
+  if (data.sku) {
+    const cached = context.skus.get(data.sku);
+    if (cached) return { product: cached };
+
+    // SKUs of products in the trash can be used again
+    const product = await Product.findOne({ 'variants.sku': data.sku });
+    if (product) return { product: trackProduct(context, product, false).product };
+  }
+
+  if (data.name) {
+    const cached = context.names.get(data.name.toLowerCase());
+    if (cached) return { product: cached };
+
+    const product = await Product.findOne({ name: new RegExp(`^${escapeRegex(data.name)}$`, 'i') });
+    if (product) return { product: trackProduct(context, product, false).product };
+  }
+
+  return {};
+};
+
+// Check that a row can be applied to its product, returns the error messages
+const checkRow = (data, product, entry, req) => {
+  const errors = [];
+  const variant = data.sku && product && product.variants.find(item => item.sku === data.sku);
+
+  if (product && !entry.isNew && !can(req, 'products:update')) {
+    errors.push('Missing permission: products:update');
+  }
+
+  if (!product) {
+    if (!data.name) errors.push('Name is required for new products');
+    if (!data.description) errors.push('Description is required for new products');
+    if (!data.category) errors.push('Category is required for new products');
+  }
+
+  if (data.sku && !variant && (data.weight === undefined || !data.grade || data.price === undefined)) {
+    errors.push(`Weight, grade and price are required to add variant ${data.sku}`);
+  }
+
+  if (!data.sku && data.price !== undefined && product && product.variants.length) {
+    errors.push('Price of a product sold in variants is set per SKU');
+  }
+
+  return errors;
+};
+
+// Copy the values of a row onto a product
+const applyRow = (product, data) => {
+  ['name', 'description', 'category', 'tags', 'origin', 'certifications', 'featured', 'status', 'reorderThreshold']
+    .filter(field => data[field] !== undefined)
+    .forEach(field => product.set(field, data[field]));
+
+  Object.entries(data.translations).forEach(([lang, values]) => {
+    Object.entries(values).forEach(([field, value]) => product.set(`translations.${lang}.${field}`, value));
+  });
+
+  if (!data.sku) {
+    if (data.price !== undefined) product.price = data.price;
+    return;
+  }
+
+  const variant = product.variants.find(item => item.sku === data.sku);
+
+  if (variant) {
+    ['weight', 'unit', 'grade', 'price']
+      .filter(field => data[field] !== undefined)
+      .forEach(field => variant.set(field, data[field]));
+  } else {
+    product.variants.push({
+      sku: data.sku,
+      weight: data.weight,
+      unit: data.unit || 'g',
+      grade: data.grade,
+      price: data.price
+    });
+  }
+};
+
+const summarize = (rows, context) => {
+  const entries = [...context.entries.values()].filter(entry => entry.rows.some(row => !row.errors.length));
+
+  return {
+    rows: rows.length,
+    valid: rows.filter(row => !row.errors.length).length,
+    invalid: rows.filter(row => row.errors.length).length,
+    created: entries.filter(entry => entry.isNew).length,
+    updated: entries.filter(entry => !entry.isNew && entry.modified).length,
+    unchanged: entries.filter(entry => !entry.isNew && !entry.modified).length
+  };
+};
+
+// @route   GET /api/import/products/template
+// @desc    Download an empty CSV with the supported product import columns
+// @access  Private (products:create)
+router.get('/products/template', requirePermission('products:create'), (req, res) => {
+  res.attachment('products-import-template.csv');
+  res.type('text/csv');
+  res.send(`${TEMPLATE_COLUMNS.join(',')}\n`);
+});
+
+// @route   POST /api/import/products
+// @desc    Import products from a CSV or XLSX file ("file" field). Runs as a dry run with a
+//          per-row validation report unless dryRun=false; skipInvalid=true imports the valid
+//          rows of a file with errors. Rows update the product with the same SKU or name.
+// @access  Private (products:create, products:update to change existing products)
+router.post('/products', requirePermission('products:create'), uploadSpreadsheet.single('file'), async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun !== 'false';
+    const skipInvalid = req.query.skipInvalid === 'true';
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A CSV or XLSX file is required'
+      });
+    }
+
+    let table;
+
+    try {
+      table = await readSpreadsheet(req.file);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Could not read the spreadsheet: ' + error.message
+      });
+    }
+
+    const [header, ...records] = table;
+    const columns = header ? header.cells.map(cell => COLUMNS[normalizeHeader(cell)]) : [];
+    const ignoredColumns = header ? header.cells.filter((cell, index) => cell && !columns[index]) : [];
+
+    if (!columns.includes('name') && !columns.includes('sku')) {
+      return res.status(400).json({
+        success: false,
+        message: 'The spreadsheet needs a header row with a name or sku column',
+        columns: TEMPLATE_COLUMNS
+      });
+    }
+
+    const dataRows = records.filter(record => record.cells.some(cell => String(cell || '').trim()));
+
+    if (!dataRows.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'The spreadsheet has no data rows'
+      });
+    }
+
+    if (dataRows.length > MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `A spreadsheet cannot have more than ${MAX_ROWS} rows`
+      });
+    }
+
+    const lookups = { categories: await loadCategories(), certificates: await loadCertificates() };
+    const context = createImportContext();
+    const rows = [];
+
+    for (const record of dataRows) {
+      const values = {};
+      columns.forEach((path, index) => {
+        if (path) values[path] = record.cells[index];
+      });
+
+      const { data, errors } = parseRow(values, lookups);
+      const result = { row: record.row, name: data.name, sku: data.sku, action: null, errors };
+      rows.push(result);
+
+      if (errors.length) continue;
+
+      const found = await findProduct(data, context);
+      const entry = found.product && context.entries.get(found.product._id.toString());
+      errors.push(...checkRow(data, found.product, entry, req));
+
+      if (errors.length) continue;
+
+      const product = found.product || new Product({ image: PLACEHOLDER_IMAGE, images: [] });
+      applyRow(product, data);
+
+      const tracked = trackProduct(context, product, !found.product);
+      tracked.rows.push(result);
+      result.action = tracked.isNew ? 'create' : 'update';
+      result.name = product.name;
+    }
+
+    // Validate the resulting products, errors are reported on every row of the product
+    for (const entry of context.entries.values()) {
+      entry.modified = entry.product.isModified();
+
+      try {
+        await entry.product.validate();
+      } catch (error) {
+        const messages = error.name === 'ValidationError'
+          ? Object.values(error.errors).map(err => err.message)
+          : [error.message];
+        entry.rows.forEach(row => row.errors.push(...messages));
+      }
+    }
+
+    const invalid = rows.some(row => row.errors.length);
+
+    if (dryRun || (invalid && !skipInvalid)) {
+      return res.status(dryRun ? 200 : 400).json({
+        success: !(invalid && !dryRun),
+        message: dryRun ? 'Dry run completed, nothing was imported' : 'Import has errors, nothing was imported',
+        data: {
+          dryRun,
+          summary: summarize(rows, context),
+          ignoredColumns,
+          rows
+        }
+      });
+    }
+
+    // Save the products whose rows are all valid, one product at a time
+    for (const entry of context.entries.values()) {
+      const hasErrors = entry.rows.some(row => row.errors.length);
+
+      if (hasErrors || (!entry.isNew && !entry.modified)) continue;
+
+      try {
+        await entry.product.save();
+      } catch (error) {
+        const messages = error.name === 'ValidationError'
+          ? Object.values(error.errors).map(err => err.message)
+          : [error.code === 11000 ? 'Variant SKU already exists' : error.message];
+        entry.rows.forEach(row => {
+          row.errors.push(...messages);
+          row.action = null;
+        });
+        continue;
+      }
+
+      // The product is imported even when its revision cannot be recorded
+      try {
+        await Revision.record(entry.product, {
+          author: req.user._id,
+          action: entry.isNew ? 'create' : 'update',
+          previous: entry.previous
+        });
+      } catch (error) {
+        console.error(`Error recording revision of imported product ${entry.product._id}:`, error);
+      }
+    }
+
+    const summary = summarize(rows, context);
+
+    res.json({
+      success: true,
+      message: `Import completed: ${summary.created} created, ${summary.updated} updated`,
+      data: {
+        dryRun: false,
+        summary,
+        ignoredColumns,
+        rows
+      }
+    });
+
+  } catch (error) {
+    console.error('Import products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing products'
+    });
+  }
+});
+
+module.exports = router;
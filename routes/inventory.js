@@ -0,0 +1,302 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult, query } = require('express-validator');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const { withTransaction } = require('../config/transactions');
+const { requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/inventory/movements
+// @desc    Get the stock movement ledger with filtering and pagination
+// @access  Private (products:read)
+router.get('/movements', [
+  requirePermission('products:read'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('product').optional().isMongoId().withMessage('Invalid product ID'),
+  query('variant').optional().isMongoId().withMessage('Invalid variant ID'),
+  query('sku').optional().isString().withMessage('SKU must be a single value'),
+  query('type').optional().isIn(StockMovement.getTypes()).withMessage('Invalid movement type'),
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { product, variant, type, sku, from, to } = req.query;
+
+    // Build filter object
+    let filter = {};
+
+    if (product) {
+      filter.product = product;
+    }
+
+    if (variant) {
+      filter.variant = variant;
+    }
+
+    if (sku) {
+      filter.sku = sku.trim().toUpperCase();
+    }
+
+    if (type) {
+      filter.type = type;
+    }
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    // Get movements with pagination
+    const movements = await StockMovement.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('product', 'name')
+      .populate('createdBy', 'email');
+
+    // Get total count for pagination
+    const total = await StockMovement.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: movements,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get stock movements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching stock movements'
+    });
+  }
+});
+
+// @route   POST /api/inventory/movements
+// @desc    Record a stock movement and update the quantity on hand
+// @access  Private (products:update)
+router.post('/movements', [
+  requirePermission('products:update'),
+  body('product')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  body('variant')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+  body('type')
+    .isIn(StockMovement.getTypes())
+    .withMessage(`Type must be one of ${StockMovement.getTypes().join(', ')}`),
+  body('quantity')
+    .isInt()
+    .withMessage('Quantity must be an integer')
+    .toInt()
+    .custom((quantity, { req }) => {
+      if (req.body.type === 'adjustment' ? quantity === 0 : quantity <= 0) {
+        throw new Error(req.body.type === 'adjustment' ? 'Adjustment quantity cannot be zero' : 'Quantity must be positive');
+      }
+      return true;
+    }),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  body('reason')
+    .if(body('type').isIn(['adjustment', 'waste']))
+    .notEmpty()
+    .withMessage('A reason is required for adjustments and waste'),
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference cannot exceed 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { variant, type, quantity, reason, reference } = req.body;
+
+    const change = StockMovement.toStockChange(type, quantity);
+
+    // The stock change and its ledger entry are written together. Without transactions
+    // (standalone MongoDB) the stock change is undone when the ledger entry fails.
+    const result = await withTransaction(async (session) => {
+      const stock = await Product.changeStock(req.body.product, change, variant, { session });
+
+      if (!stock) {
+        return null;
+      }
+
+      try {
+        const [movement] = await StockMovement.create([{
+          product: stock.product._id,
+          variant,
+          sku: variant ? stock.product.variants.id(variant).sku : undefined,
+          type,
+          quantity: change,
+          balanceAfter: stock.balance,
+          reason,
+          reference,
+          createdBy: req.user._id
+        }], { session });
+
+        return { product: stock.product, movement };
+      } catch (error) {
+        if (!session) {
+          await Product.changeStock(stock.product._id, -change, variant);
+        }
+        throw error;
+      }
+    }, { required: false });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const { product, movement } = result;
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock movement recorded successfully',
+      data: {
+        movement,
+        stockQuantity: product.stockQuantity,
+        inStock: product.inStock
+      }
+    });
+
+  } catch (error) {
+    console.error('Record stock movement error:', error);
+
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording stock movement'
+    });
+  }
+});
+
+// @route   GET /api/inventory/low-stock
+// @desc    Get products and variants at or below their reorder threshold
+// @access  Private (products:read)
+router.get('/low-stock', [
+  requirePermission('products:read'),
+  query('category').optional().isMongoId().withMessage('Invalid category ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Archived products are discontinued and never need reordering
+    const match = {
+      status: { $ne: 'archived' },
+      ...(req.query.category && { category: new mongoose.Types.ObjectId(req.query.category) })
+    };
+
+    // Products without variants are tracked on the product itself,
+    // products saved before inventory tracking have no stockQuantity yet
+    const products = await Product.aggregate([
+      { $match: { ...match, 'variants.0': { $exists: false }, stockQuantity: { $exists: true } } },
+      { $match: { $expr: { $lte: ['$stockQuantity', '$reorderThreshold'] } } },
+      {
+        $project: {
+          product: { _id: '$_id', name: '$name', category: '$category' },
+          variant: { $literal: null },
+          quantity: '$stockQuantity',
+          reorderThreshold: '$reorderThreshold'
+        }
+      }
+    ]);
+
+    // Products sold in variants are tracked per active variant
+    const variants = await Product.aggregate([
+      { $match: match },
+      { $unwind: '$variants' },
+      { $match: { 'variants.isActive': true } },
+      { $match: { $expr: { $lte: ['$variants.stock', { $ifNull: ['$variants.reorderThreshold', 0] }] } } },
+      {
+        $project: {
+          product: { _id: '$_id', name: '$name', category: '$category' },
+          variant: { _id: '$variants._id', sku: '$variants.sku', weight: '$variants.weight', unit: '$variants.unit', grade: '$variants.grade' },
+          quantity: '$variants.stock',
+          reorderThreshold: { $ifNull: ['$variants.reorderThreshold', 0] }
+        }
+      }
+    ]);
+
+    // Largest shortfall first, out of stock items before items that are only low
+    const items = [...products, ...variants]
+      .map(({ _id, ...item }) => ({ ...item, shortfall: item.reorderThreshold - item.quantity }))
+      .sort((a, b) => (b.quantity === 0) - (a.quantity === 0) || b.shortfall - a.shortfall);
+
+    res.json({
+      success: true,
+      data: items,
+      stats: {
+        total: items.length,
+        outOfStock: items.filter(item => item.quantity === 0).length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get low stock report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching low stock report'
+    });
+  }
+});
+
+module.exports = router;
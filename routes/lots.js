@@ -0,0 +1,480 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Lot = require('../models/Lot');
+const Product = require('../models/Product');
+const Certificate = require('../models/Certificate');
+const { requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// @route   GET /api/lots
+// @desc    Get all lots with filtering and pagination
+// @access  Private (products:read)
+router.get('/', [
+  requirePermission('products:read'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('product').optional().isMongoId().withMessage('Invalid product ID'),
+  query('certificate').optional().isMongoId().withMessage('Invalid certificate ID'),
+  query('search').optional().isString().withMessage('Search term must be a single value').isLength({ max: 100 }).withMessage('Search term too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const { product, certificate, search, expired } = req.query;
+
+    // Build filter object
+    let filter = {};
+
+    if (product) {
+      filter.product = product;
+    }
+
+    if (certificate) {
+      filter.certificates = certificate;
+    }
+
+    if (expired !== undefined) {
+      filter.bestBefore = expired === 'true' ? { $lt: new Date() } : { $gte: new Date() };
+    }
+
+    if (search) {
+      filter.lotNumber = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+
+    // Get lots with pagination
+    const lots = await Lot.find(filter)
+      .sort({ harvestDate: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('product', 'name')
+      .populate('certificates', 'name certificateNumber expiryDate');
+
+    // Get total count for pagination
+    const total = await Lot.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: lots,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get lots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching lots'
+    });
+  }
+});
+
+// @route   GET /api/lots/expiring
+// @desc    Get lots whose best-before date falls within the next days
+// @access  Private (products:read)
+router.get('/expiring', [
+  requirePermission('products:read'),
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365'),
+  query('product').optional().isMongoId().withMessage('Invalid product ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const days = parseInt(req.query.days) || 30;
+    const { product, includeExpired } = req.query;
+    const now = new Date();
+
+    // Build filter object
+    let filter = {
+      bestBefore: { $lte: new Date(now.getTime() + days * DAY_MS) }
+    };
+
+    if (includeExpired !== 'true') {
+      filter.bestBefore.$gte = now;
+    }
+
+    if (product) {
+      filter.product = product;
+    }
+
+    const lots = await Lot.find(filter)
+      .sort({ bestBefore: 1 })
+      .populate('product', 'name');
+
+    const data = lots.map(lot => ({
+      ...lot.toObject(),
+      isExpired: lot.isExpired,
+      daysUntilExpiry: Math.ceil((lot.bestBefore - now) / DAY_MS)
+    }));
+
+    res.json({
+      success: true,
+      data,
+      stats: {
+        total: data.length,
+        expired: data.filter(lot => lot.isExpired).length,
+        days
+      }
+    });
+
+  } catch (error) {
+    console.error('Get expiring lots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching expiring lots'
+    });
+  }
+});
+
+// @route   GET /api/lots/:id
+// @desc    Get single lot
+// @access  Private (products:read)
+router.get('/:id', requirePermission('products:read'), async (req, res) => {
+  try {
+    const lot = await Lot.findById(req.params.id)
+      .populate('product', 'name origin')
+      .populate('certificates');
+
+    if (!lot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lot not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: lot
+    });
+
+  } catch (error) {
+    console.error('Get lot error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid lot ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching lot'
+    });
+  }
+});
+
+// @route   POST /api/lots
+// @desc    Create new lot
+// @access  Private (products:create)
+router.post('/', [
+  requirePermission('products:create'),
+  body('lotNumber')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Lot number must be between 1 and 50 characters'),
+  body('product')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  body('harvestDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Harvest date must be a valid date'),
+  body('bestBefore')
+    .optional()
+    .isISO8601()
+    .withMessage('Best-before date must be a valid date'),
+  body('moisture')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Moisture must be between 0 and 100'),
+  body('labResults')
+    .optional()
+    .isArray()
+    .withMessage('Lab results must be an array'),
+  body('certificates')
+    .optional()
+    .isArray()
+    .withMessage('Certificates must be an array of certificate IDs'),
+  body('certificates.*')
+    .isMongoId()
+    .withMessage('Invalid certificate ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { lotNumber, product, harvestDate, bestBefore, originFarm, moisture, labResults, certificates, notes } = req.body;
+
+    // Validate product exists
+    const productExists = await Product.findById(product);
+    if (!productExists) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Validate linked certificates exist
+    if (certificates && certificates.length) {
+      const missing = await Certificate.findMissingIds(certificates);
+      if (missing.length) {
+        return res.status(400).json({
+          success: false,
+          message: `Certificates not found: ${missing.join(', ')}`
+        });
+      }
+    }
+
+    const lotData = {
+      lotNumber,
+      product
+    };
+
+    // Add optional fields
+    if (harvestDate) lotData.harvestDate = new Date(harvestDate);
+    if (bestBefore) lotData.bestBefore = new Date(bestBefore);
+    if (originFarm) lotData.originFarm = originFarm;
+    if (moisture !== undefined) lotData.moisture = moisture;
+    if (labResults) lotData.labResults = labResults;
+    if (certificates) lotData.certificates = [...new Set(certificates)];
+    if (notes) lotData.notes = notes;
+
+    const lot = new Lot(lotData);
+    await lot.save();
+
+    await lot.populate('product', 'name');
+    await lot.populate('certificates', 'name certificateNumber expiryDate');
+
+    res.status(201).json({
+      success: true,
+      message: 'Lot created successfully',
+      data: lot
+    });
+
+  } catch (error) {
+    console.error('Create lot error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lot number already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating lot'
+    });
+  }
+});
+
+// @route   PUT /api/lots/:id
+// @desc    Update lot
+// @access  Private (products:update)
+router.put('/:id', [
+  requirePermission('products:update'),
+  body('lotNumber')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Lot number must be between 1 and 50 characters'),
+  body('product')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  body('harvestDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Harvest date must be a valid date'),
+  body('bestBefore')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Best-before date must be a valid date'),
+  body('moisture')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Moisture must be between 0 and 100'),
+  body('labResults')
+    .optional()
+    .isArray()
+    .withMessage('Lab results must be an array'),
+  body('certificates')
+    .optional()
+    .isArray()
+    .withMessage('Certificates must be an array of certificate IDs'),
+  body('certificates.*')
+    .isMongoId()
+    .withMessage('Invalid certificate ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const lot = await Lot.findById(req.params.id);
+
+    if (!lot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lot not found'
+      });
+    }
+
+    const { lotNumber, product, harvestDate, bestBefore, originFarm, moisture, labResults, certificates, notes } = req.body;
+
+    // Validate product exists if provided
+    if (product) {
+      const productExists = await Product.findById(product);
+      if (!productExists) {
+        return res.status(400).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+    }
+
+    // Validate linked certificates exist if provided
+    if (certificates && certificates.length) {
+      const missing = await Certificate.findMissingIds(certificates);
+      if (missing.length) {
+        return res.status(400).json({
+          success: false,
+          message: `Certificates not found: ${missing.join(', ')}`
+        });
+      }
+    }
+
+    // Update fields, null clears an optional value
+    if (lotNumber) lot.lotNumber = lotNumber;
+    if (product) lot.product = product;
+    if (harvestDate !== undefined) lot.harvestDate = harvestDate ? new Date(harvestDate) : undefined;
+    if (bestBefore !== undefined) lot.bestBefore = bestBefore ? new Date(bestBefore) : undefined;
+    if (originFarm !== undefined) lot.originFarm = originFarm || {};
+    if (moisture !== undefined) lot.moisture = moisture === null ? undefined : moisture;
+    if (labResults) lot.labResults = labResults;
+    if (certificates) lot.certificates = [...new Set(certificates)];
+    if (notes !== undefined) lot.notes = notes;
+
+    await lot.save();
+
+    await lot.populate('product', 'name');
+    await lot.populate('certificates', 'name certificateNumber expiryDate');
+
+    res.json({
+      success: true,
+      message: 'Lot updated successfully',
+      data: lot
+    });
+
+  } catch (error) {
+    console.error('Update lot error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid lot ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lot number already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating lot'
+    });
+  }
+});
+
+// @route   DELETE /api/lots/:id
+// @desc    Delete lot
+// @access  Private (products:delete)
+router.delete('/:id', requirePermission('products:delete'), async (req, res) => {
+  try {
+    const lot = await Lot.findByIdAndDelete(req.params.id);
+
+    if (!lot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lot not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Lot deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete lot error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid lot ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting lot'
+    });
+  }
+});
+
+module.exports = router;
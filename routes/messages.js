@@ -1,15 +1,16 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Message = require('../models/Message');
-const { adminAuth, auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { purgeDate } = require('../jobs/purgeTrash');
 
 const router = express.Router();
 
 // @route   GET /api/messages
-// @desc    Get all messages with filtering and pagination (Admin only)
-// @access  Private (Admin)
+// @desc    Get all messages with filtering and pagination
+// @access  Private (messages:read)
 router.get('/', [
-  adminAuth,
+  requirePermission('messages:read'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('category').optional().isIn(['general', 'support', 'sales', 'partnership', 'complaint', 'other']).withMessage('Invalid category'),
@@ -98,10 +99,52 @@ router.get('/', [
   }
 });
 
+// @route   GET /api/messages/trash
+// @desc    Get deleted messages waiting to be purged
+// @access  Private (messages:read)
+router.get('/trash', requirePermission('messages:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const filter = { deletedAt: { $ne: null } };
+
+    const messages = await Message.find(filter)
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('deletedBy', 'email');
+
+    // Get total count for pagination
+    const total = await Message.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: messages.map(message => ({
+        ...message.toObject(),
+        purgeAt: purgeDate(message.deletedAt)
+      })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get message trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching deleted messages'
+    });
+  }
+});
+
 // @route   GET /api/messages/:id
-// @desc    Get single message (Admin only)
-// @access  Private (Admin)
-router.get('/:id', adminAuth, async (req, res) => {
+// @desc    Get single message
+// @access  Private (messages:read)
+router.get('/:id', requirePermission('messages:read'), async (req, res) => {
   try {
     const message = await Message.findById(req.params.id)
       .populate('notes.addedBy', 'email');
@@ -242,10 +285,10 @@ router.post('/', [
 });
 
 // @route   PUT /api/messages/:id
-// @desc    Update message status (Admin only)
-// @access  Private (Admin)
+// @desc    Update message status
+// @access  Private (messages:update)
 router.put('/:id', [
-  adminAuth,
+  requirePermission('messages:update'),
   body('isRead')
     .optional()
     .isBoolean()
@@ -336,10 +379,10 @@ router.put('/:id', [
 });
 
 // @route   POST /api/messages/:id/notes
-// @desc    Add note to message (Admin only)
-// @access  Private (Admin)
+// @desc    Add note to message
+// @access  Private (messages:update)
 router.post('/:id/notes', [
-  adminAuth,
+  requirePermission('messages:update'),
   body('content')
     .trim()
     .isLength({ min: 1, max: 500 })
@@ -398,10 +441,57 @@ router.post('/:id/notes', [
   }
 });
 
+// @route   PUT /api/messages/:id/restore
+// @desc    Restore a deleted message from the trash
+// @access  Private (messages:delete)
+router.put('/:id/restore', requirePermission('messages:delete'), async (req, res) => {
+  try {
+    const message = await Message.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found in trash'
+      });
+    }
+
+    await message.restore();
+
+    res.json({
+      success: true,
+      message: 'Message restored successfully',
+      data: message
+    });
+
+  } catch (error) {
+    console.error('Restore message error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid message ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring message'
+    });
+  }
+});
+
 // @route   DELETE /api/messages/:id
-// @desc    Delete message (Admin only)
-// @access  Private (Admin)
-router.delete('/:id', adminAuth, async (req, res) => {
+// @desc    Move message to the trash
+// @access  Private (messages:delete)
+router.delete('/:id', requirePermission('messages:delete'), async (req, res) => {
   try {
     const message = await Message.findById(req.params.id);
     
@@ -412,11 +502,11 @@ router.delete('/:id', adminAuth, async (req, res) => {
       });
     }
 
-    await Message.findByIdAndDelete(req.params.id);
+    await message.softDelete(req.user._id);
 
     res.json({
       success: true,
-      message: 'Message deleted successfully'
+      message: 'Message moved to trash'
     });
 
   } catch (error) {
@@ -437,9 +527,9 @@ router.delete('/:id', adminAuth, async (req, res) => {
 });
 
 // @route   PUT /api/messages/:id/mark-read
-// @desc    Mark message as read (Admin only)
-// @access  Private (Admin)
-router.put('/:id/mark-read', adminAuth, async (req, res) => {
+// @desc    Mark message as read
+// @access  Private (messages:update)
+router.put('/:id/mark-read', requirePermission('messages:update'), async (req, res) => {
   try {
     const message = await Message.findById(req.params.id);
     
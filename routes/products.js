@@ -1,78 +1,2397 @@
 const express = require('express');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
-const { adminAuth } = require('../middleware/auth');
-const { uploadProduct, deleteImage } = require('../config/cloudinary');
+const Certificate = require('../models/Certificate');
+const StockMovement = require('../models/StockMovement');
+const Lot = require('../models/Lot');
+const Revision = require('../models/Revision');
+const { requirePermission, optionalAuth, can } = require('../middleware/auth');
+const { uploadProduct, deleteImage, deleteImages } = require('../config/cloudinary');
+const { textSearch, localize, parseTranslations, applyTranslations } = require('../config/i18n');
 const mongoose = require('mongoose');
+const { purgeDate } = require('../jobs/purgeTrash');
+const { EXPORT_FORMATS, translationColumns, selectColumns, streamExport } = require('../config/export');
+const { FONTS, COLORS, pdfLanguage, fetchImage, createDocument, endDocument, heading, fieldSection, table } = require('../config/pdf');
+const { withTransaction } = require('../config/transactions');
 
 const router = express.Router();
 
+const PLACEHOLDER_IMAGE = 'https://via.placeholder.com/300x300?text=No+Image';
+
+// Accept the legacy single "image" field and a multi-file "images" gallery field
+const uploadProductImages = uploadProduct.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: Product.MAX_IMAGES }
+]);
+
+// Normalize a form value that may be sent once or repeated into an array
+const toArray = (value) => {
+  if (value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+// Build gallery entries from uploaded files, pairing them with alt texts by position
+const filesToImages = (files, alts) => {
+  const altTexts = toArray(alts);
+  return files.map((file, index) => ({
+    url: file.path,
+    publicId: file.filename,
+    alt: altTexts[index]
+  }));
+};
+
+// Columns available to product exports, named like the import template columns
+const EXPORT_COLUMNS = {
+  id: product => product._id,
+  name: product => product.name,
+  description: product => product.description,
+  category: product => product.category && product.category.name,
+  category_slug: product => product.category && product.category.slug,
+  price: product => product.price,
+  tags: product => product.tags,
+  origin: product => product.origin,
+  certifications: product => product.certifications.filter(Boolean).map(certificate => certificate.name),
+  skus: product => product.variants.map(variant => variant.sku),
+  featured: product => product.featured,
+  status: product => product.status,
+  in_stock: product => product.inStock,
+  stock_quantity: product => product.stockQuantity,
+  reorder_threshold: product => product.reorderThreshold,
+  latin_name: product => product.get('specifications.latinName'),
+  plant_part: product => product.get('specifications.plantPart'),
+  processing_form: product => product.get('specifications.processingForm'),
+  moisture: product => product.get('specifications.moisture'),
+  ash: product => product.get('specifications.ash'),
+  hs_code: product => product.get('specifications.hsCode'),
+  shelf_life_months: product => product.get('specifications.shelfLifeMonths'),
+  storage_conditions: product => product.get('specifications.storageConditions'),
+  ...Object.fromEntries(Product.NUTRITION_FIELDS.map(field => [field, product => product.get(`nutritionalInfo.${field}`)])),
+  image: product => product.image,
+  publish_at: product => product.publishAt,
+  unpublish_at: product => product.unpublishAt,
+  created_at: product => product.createdAt,
+  updated_at: product => product.updatedAt,
+  ...translationColumns(Product.LOCALIZED_FIELDS)
+};
+
+// Parse variants sent as an array or as a JSON string (multipart forms) and validate them.
+// Returns { variants, errors } where errors lists human readable messages.
+const parseVariants = (value) => {
+  let variants = value;
+
+  if (typeof value === 'string') {
+    try {
+      variants = JSON.parse(value);
+    } catch (error) {
+      return { variants: [], errors: ['Variants must be a valid JSON array'] };
+    }
+  }
+
+  if (!Array.isArray(variants)) {
+    return { variants: [], errors: ['Variants must be an array'] };
+  }
+
+  const units = Product.getVariantUnits();
+  const grades = Product.getVariantGrades();
+  const seenSkus = new Set();
+  const errors = [];
+
+  const parsed = variants.map((variant, index) => {
+    const label = `Variant ${index + 1}`;
+
+    if (!variant || typeof variant !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return null;
+    }
+
+    const sku = String(variant.sku || '').trim().toUpperCase();
+    const weight = Number(variant.weight);
+    const price = Number(variant.price);
+    const stock = variant.stock === undefined ? 0 : Number(variant.stock);
+    const reorderThreshold = variant.reorderThreshold === undefined ? 0 : Number(variant.reorderThreshold);
+    const unit = variant.unit || 'g';
+
+    if (!/^[A-Z0-9_-]{1,40}$/.test(sku)) {
+      errors.push(`${label}: SKU is required and may only contain letters, numbers, dashes and underscores`);
+    } else if (seenSkus.has(sku)) {
+      errors.push(`${label}: duplicate SKU ${sku}`);
+    }
+    seenSkus.add(sku);
+
+    if (!Number.isFinite(weight) || weight <= 0) {
+      errors.push(`${label}: weight must be a positive number`);
+    }
+
+    if (!units.includes(unit)) {
+      errors.push(`${label}: unit must be one of ${units.join(', ')}`);
+    }
+
+    if (!grades.includes(variant.grade)) {
+      errors.push(`${label}: grade must be one of ${grades.join(', ')}`);
+    }
+
+    if (!Number.isFinite(price) || price < 0) {
+      errors.push(`${label}: price must be a non-negative number`);
+    }
+
+    if (!Number.isInteger(stock) || stock < 0) {
+      errors.push(`${label}: stock must be a non-negative integer`);
+    }
+
+    if (!Number.isInteger(reorderThreshold) || reorderThreshold < 0) {
+      errors.push(`${label}: reorder threshold must be a non-negative integer`);
+    }
+
+    return {
+      ...(variant._id && { _id: variant._id }),
+      sku,
+      weight,
+      unit,
+      grade: variant.grade,
+      price,
+      stock,
+      reorderThreshold,
+      isActive: variant.isActive === undefined ? true : variant.isActive === true || variant.isActive === 'true'
+    };
+  });
+
+  return { variants: parsed, errors };
+};
+
+// Parse a profile object (specifications, nutritionalInfo) sent as an object or a JSON string
+// (multipart forms). Returns { profile } or { error }; values are checked by the schema on save.
+const parseProfile = (value, fields, label) => {
+  let profile = value;
+
+  if (typeof value === 'string') {
+    try {
+      profile = JSON.parse(value);
+    } catch (error) {
+      return { error: `${label} must be a valid JSON object` };
+    }
+  }
+
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return { error: `${label} must be an object` };
+  }
+
+  const unknown = Object.keys(profile).filter(field => !fields.includes(field));
+
+  if (unknown.length) {
+    return { error: `${label} has unknown fields: ${unknown.join(', ')}. Allowed fields: ${fields.join(', ')}` };
+  }
+
+  return { profile };
+};
+
+// Merge a parsed profile into a product, an empty value clears the field
+const applyProfile = (product, path, profile) => {
+  Object.entries(profile).forEach(([field, value]) => {
+    product.set(`${path}.${field}`, value === '' || value === null ? undefined : value);
+  });
+};
+
+// Certificate fields shown with a single product, listings show fewer
+const CERTIFICATE_FIELDS = 'name translations certificateNumber issuer issueDate expiryDate isActive category image documentUrl';
+const CERTIFICATE_LIST_FIELDS = 'name translations expiryDate isActive';
+
+// Localize a product and its populated category and certificates for the response language
+const localizeProduct = (product, lang) => {
+  const data = localize(product, Product.LOCALIZED_FIELDS, lang);
+
+  if (data.category && data.category.translations) {
+    data.category = localize(data.category, Category.LOCALIZED_FIELDS, lang);
+  }
+
+  if (data.certifications) {
+    data.certifications = data.certifications.map(certificate => {
+      if (!certificate || certificate instanceof mongoose.Types.ObjectId) return certificate;
+
+      return {
+        ...localize(certificate, Certificate.LOCALIZED_FIELDS, lang),
+        isExpired: Boolean(certificate.expiryDate && certificate.expiryDate < new Date())
+      };
+    });
+  }
+
+  return data;
+};
+
+// Parse certifications sent as an array, a JSON array or comma separated certificate IDs and
+// check that the certificates exist. Returns { certifications } or { error }.
+const parseCertifications = async (value) => {
+  let ids = value;
+
+  if (typeof value === 'string') {
+    try {
+      ids = value.trim().startsWith('[') ? JSON.parse(value) : value.split(',');
+    } catch (error) {
+      return { error: 'Certifications must be a JSON array or comma separated certificate IDs' };
+    }
+  }
+
+  if (!Array.isArray(ids)) {
+    return { error: 'Certifications must be a list of certificate IDs' };
+  }
+
+  ids = [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+  const invalid = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+
+  if (invalid.length) {
+    return { error: `Invalid certificate IDs: ${invalid.join(', ')}` };
+  }
+
+  const missing = await Certificate.findMissingIds(ids);
+
+  if (missing.length) {
+    return { error: `Certificates not found: ${missing.join(', ')}` };
+  }
+
+  return { certifications: ids };
+};
+
+// Warnings about the certificates a product relies on (populated): expired, inactive or deleted
+const certificationWarnings = (product) => {
+  const linked = product.populated('certifications') || [];
+  const certificates = product.certifications.filter(Boolean);
+  const warnings = [];
+
+  certificates.forEach(certificate => {
+    if (certificate.isExpired) {
+      warnings.push(`Certificate "${certificate.name}" expired on ${certificate.expiryDate.toISOString().slice(0, 10)}`);
+    } else if (!certificate.isActive) {
+      warnings.push(`Certificate "${certificate.name}" is inactive`);
+    }
+  });
+
+  if (linked.length > certificates.length) {
+    warnings.push(`${linked.length - certificates.length} linked certificate(s) have been deleted`);
+  }
+
+  return warnings;
+};
+
+// Validate the publishing fields of a request body, returns an error message or null
+const validatePublishing = ({ status, publishAt, unpublishAt }) => {
+  if (status !== undefined && !Product.getStatuses().includes(status)) {
+    return `Status must be one of ${Product.getStatuses().join(', ')}`;
+  }
+
+  if (publishAt && Number.isNaN(Date.parse(publishAt))) {
+    return 'publishAt must be a valid date';
+  }
+
+  if (unpublishAt && Number.isNaN(Date.parse(unpublishAt))) {
+    return 'unpublishAt must be a valid date';
+  }
+
+  return null;
+};
+
+// Apply the publishing fields of a request body, an empty date clears the schedule
+const applyPublishing = (product, { status, publishAt, unpublishAt }) => {
+  if (status) product.status = status;
+  if (publishAt !== undefined) product.publishAt = publishAt ? new Date(publishAt) : undefined;
+  if (unpublishAt !== undefined) product.unpublishAt = unpublishAt ? new Date(unpublishAt) : undefined;
+};
+
+// Record the opening stock of a new product, or of newly added variants, as receipt movements
+const recordOpeningStock = async (product, user, variants) => {
+  const entries = variants
+    ? variants.map(variant => ({ variant: variant._id, sku: variant.sku, quantity: variant.stock }))
+    : [{ quantity: product.stockQuantity }];
+
+  const movements = entries
+    .filter(entry => entry.quantity > 0)
+    .map(entry => ({
+      ...entry,
+      product: product._id,
+      type: 'receipt',
+      balanceAfter: entry.quantity,
+      reason: 'Opening stock',
+      createdBy: user._id
+    }));
+
+  if (movements.length) {
+    await StockMovement.insertMany(movements);
+  }
+};
+
+// Stock on hand per SKU, or of the product itself when it is not sold in variants
+const stockLevels = (product) => {
+  if (!product.variants.length) {
+    return new Map([['', { quantity: product.stockQuantity || 0 }]]);
+  }
+
+  return new Map(product.variants.map(variant => [variant.sku, { variant: variant._id, sku: variant.sku, quantity: variant.stock }]));
+};
+
+// Record how the stock changed since the stock levels taken before an update, so that the
+// ledger keeps adding up to the quantity on hand: stock of new SKUs as opening stock receipts,
+// stock that changed or went away with a removed SKU as adjustments
+const recordStockChanges = async (product, before, user, reason) => {
+  const after = stockLevels(product);
+  const movements = [];
+
+  new Set([...before.keys(), ...after.keys()]).forEach(key => {
+    const { quantity: previous = 0, ...was } = before.get(key) || {};
+    const { quantity: current = 0, ...now } = after.get(key) || {};
+
+    if (current === previous) return;
+
+    movements.push({
+      ...was,
+      ...now,
+      product: product._id,
+      type: before.has(key) ? 'adjustment' : 'receipt',
+      quantity: current - previous,
+      balanceAfter: current,
+      reason: before.has(key) ? reason : 'Opening stock',
+      createdBy: user._id
+    });
+  });
+
+  if (movements.length) {
+    await StockMovement.insertMany(movements);
+  }
+};
+
+// Normalize a multi-value query parameter, sent repeated or comma separated, into a list
+const toList = (value) => toArray(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+
+// Listing sort options, relevance needs a text search
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  name: { name: 1 },
+  '-name': { name: -1 },
+  price: { price: 1 },
+  '-price': { price: -1 },
+  relevance: { score: { $meta: 'textScore' } }
+};
+
+// Lower bounds of the price facet buckets, prices above the last bound share one bucket
+const PRICE_BUCKETS = [0, 10, 25, 50, 100, 250];
+
+// Most values listed per tag, origin and certification facet
+const FACET_LIMIT = 20;
+
+// Filters of the fields that have facets, keyed by facet. Values are cast so that the
+// filters work in aggregations as well as in queries.
+const buildFacetFilters = (query) => {
+  const { minPrice, maxPrice, inStock } = query;
+  const categories = toList(query.category).filter(id => mongoose.Types.ObjectId.isValid(id));
+  const filters = {};
+
+  if (categories.length) {
+    filters.category = { category: { $in: categories.map(id => new mongoose.Types.ObjectId(id)) } };
+  }
+
+  ['tags', 'origin'].forEach(field => {
+    const values = toList(query[field]);
+    if (values.length) {
+      filters[field] = { [field]: { $in: values } };
+    }
+  });
+
+  const certificates = toList(query.certifications).filter(id => mongoose.Types.ObjectId.isValid(id));
+
+  if (certificates.length) {
+    filters.certifications = { certifications: { $in: certificates.map(id => new mongoose.Types.ObjectId(id)) } };
+  }
+
+  const price = {};
+
+  if (minPrice !== undefined && !Number.isNaN(parseFloat(minPrice))) {
+    price.$gte = parseFloat(minPrice);
+  }
+
+  if (maxPrice !== undefined && !Number.isNaN(parseFloat(maxPrice))) {
+    price.$lte = parseFloat(maxPrice);
+  }
+
+  if (Object.keys(price).length) {
+    filters.price = { price };
+  }
+
+  if (inStock !== undefined) {
+    filters.stock = { inStock: String(inStock) === 'true' };
+  }
+
+  return filters;
+};
+
+// Build the listing filter of the fields without facets. The public only sees published products.
+const buildBaseFilter = (req, query) => {
+  const { search, featured, sku, grade, unit, weight, status, hsCode, maxMoisture, maxAsh } = query;
+
+  let filter = can(req, 'products:read') ? {} : Product.publishedFilter();
+
+  if (status && can(req, 'products:read')) {
+    filter.status = status;
+  }
+  
+  if (featured !== undefined) {
+    filter.featured = String(featured) === 'true';
+  }
+  
+  if (search) {
+    filter.$text = textSearch(search, req.lang);
+  }
+
+  // Specification filters, products without the value do not match
+  const plantParts = toList(query.plantPart);
+  const processingForms = toList(query.processingForm);
+
+  if (plantParts.length) {
+    filter['specifications.plantPart'] = { $in: plantParts };
+  }
+
+  if (processingForms.length) {
+    filter['specifications.processingForm'] = { $in: processingForms };
+  }
+
+  if (hsCode) {
+    filter['specifications.hsCode'] = new RegExp(`^${String(hsCode).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`);
+  }
+
+  if (maxMoisture !== undefined && !Number.isNaN(parseFloat(maxMoisture))) {
+    filter['specifications.moisture'] = { $lte: parseFloat(maxMoisture) };
+  }
+
+  if (maxAsh !== undefined && !Number.isNaN(parseFloat(maxAsh))) {
+    filter['specifications.ash'] = { $lte: parseFloat(maxAsh) };
+  }
+
+  // Variant filters must all match the same variant
+  let variantFilter = {};
+
+  if (sku) {
+    variantFilter.sku = String(sku).trim().toUpperCase();
+  }
+
+  if (grade) {
+    variantFilter.grade = grade;
+  }
+
+  if (unit) {
+    variantFilter.unit = unit;
+  }
+
+  if (weight !== undefined && !Number.isNaN(parseFloat(weight))) {
+    variantFilter.weight = parseFloat(weight);
+  }
+
+  if (Object.keys(variantFilter).length) {
+    filter.variants = { $elemMatch: { ...variantFilter, isActive: true } };
+  }
+
+  return filter;
+};
+
+// Build the product listing filter from the query string (or the filter of a bulk operation),
+// shared by the listing, the export and bulk updates
+const buildProductFilter = (req, query = req.query) => {
+  return Object.assign(buildBaseFilter(req, query), ...Object.values(buildFacetFilters(query)));
+};
+
+// Count the products per facet value. Each facet applies every filter except its own, so
+// the counts tell how many products selecting that value would return.
+const buildFacets = async (req) => {
+  const facetFilters = buildFacetFilters(req.query);
+  const otherFilters = (facet) => Object.assign({}, ...Object.entries(facetFilters)
+    .filter(([key]) => key !== facet)
+    .map(([, filter]) => filter));
+  const countValues = (field) => [
+    { $match: otherFilters(field) },
+    { $unwind: `$${field}` },
+    { $match: { [field]: { $nin: [null, ''] } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: FACET_LIMIT }
+  ];
+
+  const [facets] = await Product.aggregate([
+    { $match: buildBaseFilter(req, req.query) },
+    {
+      $facet: {
+        category: [
+          { $match: otherFilters('category') },
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        tags: countValues('tags'),
+        origin: countValues('origin'),
+        certifications: countValues('certifications'),
+        price: [
+          { $match: otherFilters('price') },
+          { $match: { price: { $ne: null } } },
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: PRICE_BUCKETS,
+              default: PRICE_BUCKETS[PRICE_BUCKETS.length - 1],
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        stock: [
+          { $match: otherFilters('stock') },
+          { $group: { _id: '$inStock', count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  const categories = await Category.find({ _id: { $in: facets.category.map(item => item._id) } })
+    .select('name slug translations');
+  const categoryById = new Map(categories.map(category => [category._id.toString(), category]));
+  const certificates = await Certificate.find({ _id: { $in: facets.certifications.map(item => item._id) } })
+    .select('name translations');
+  const certificateById = new Map(certificates.map(certificate => [certificate._id.toString(), certificate]));
+  const priceCounts = new Map(facets.price.map(bucket => [bucket._id, bucket.count]));
+  const stockCount = (inStock) => (facets.stock.find(item => item._id === inStock) || { count: 0 }).count;
+
+  return {
+    category: facets.category
+      .filter(item => item._id && categoryById.has(item._id.toString()))
+      .map(item => {
+        const category = localize(categoryById.get(item._id.toString()), Category.LOCALIZED_FIELDS, req.lang);
+        return { _id: item._id, name: category.name, slug: category.slug, count: item.count };
+      }),
+    tags: facets.tags.map(item => ({ value: item._id, count: item.count })),
+    origin: facets.origin.map(item => ({ value: item._id, count: item.count })),
+    certifications: facets.certifications
+      .filter(item => certificateById.has(item._id.toString()))
+      .map(item => {
+        const certificate = localize(certificateById.get(item._id.toString()), Certificate.LOCALIZED_FIELDS, req.lang);
+        return { _id: item._id, name: certificate.name, count: item.count };
+      }),
+    price: PRICE_BUCKETS.map((min, index) => ({
+      min,
+      max: PRICE_BUCKETS[index + 1] === undefined ? null : PRICE_BUCKETS[index + 1],
+      count: priceCounts.get(min) || 0
+    })),
+    stock: {
+      inStock: stockCount(true),
+      outOfStock: stockCount(false)
+    }
+  };
+};
+
+// Most products a single bulk operation may change
+const MAX_BULK_PRODUCTS = 500;
+
+// Listing filters a bulk operation may select products with
+const BULK_FILTER_KEYS = [
+  'search', 'featured', 'sku', 'grade', 'unit', 'weight', 'status', 'hsCode', 'maxMoisture', 'maxAsh',
+  'plantPart', 'processingForm', 'category', 'tags', 'origin', 'certifications', 'minPrice', 'maxPrice', 'inStock'
+];
+
+// Validate the patch of a bulk operation. Returns { patch, errors } with tag lists normalized.
+const parseBulkPatch = (value) => {
+  const errors = [];
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { patch: {}, errors: ['Patch must be an object'] };
+  }
+
+  const { featured, inStock, category, addTags, removeTags, pricePercent } = value;
+  const patch = {};
+
+  if (featured !== undefined) {
+    if (typeof featured !== 'boolean') errors.push('featured must be true or false');
+    patch.featured = featured;
+  }
+
+  if (inStock !== undefined) {
+    if (typeof inStock !== 'boolean') errors.push('inStock must be true or false');
+    patch.inStock = inStock;
+  }
+
+  if (category !== undefined) {
+    if (!mongoose.Types.ObjectId.isValid(category)) errors.push('Invalid category ID format');
+    patch.category = category;
+  }
+
+  [['addTags', addTags], ['removeTags', removeTags]].forEach(([field, tags]) => {
+    if (tags === undefined) return;
+
+    const list = Array.isArray(tags) ? tags : String(tags).split(',');
+    patch[field] = list.map(tag => String(tag).trim()).filter(Boolean);
+
+    if (!patch[field].length) errors.push(`${field} must list at least one tag`);
+  });
+
+  if (pricePercent !== undefined) {
+    const percent = Number(pricePercent);
+    if (!Number.isFinite(percent) || percent <= -100) {
+      errors.push('pricePercent must be a number greater than -100');
+    }
+    patch.pricePercent = percent;
+  }
+
+  // Saving new variant prices recomputes inStock from the stock, which would undo the override
+  if (patch.inStock !== undefined && patch.pricePercent !== undefined) {
+    errors.push('inStock cannot be combined with pricePercent, apply them in separate bulk operations');
+  }
+
+  if (!errors.length && !Object.keys(patch).length) {
+    errors.push('Patch must change at least one of featured, inStock, category, addTags, removeTags, pricePercent');
+  }
+
+  return { patch, errors };
+};
+
+// Apply a bulk patch to a product, returns an error message when the patch does not fit it
+const applyBulkPatch = (product, patch) => {
+  const hasPrice = product.variants.length > 0 || product.price !== undefined && product.price !== null;
+
+  if (patch.pricePercent !== undefined && !hasPrice) {
+    return 'Product has no price to change';
+  }
+
+  if (patch.featured !== undefined) product.featured = patch.featured;
+  if (patch.inStock !== undefined) product.inStock = patch.inStock;
+  if (patch.category !== undefined) product.category = patch.category;
+
+  if (patch.addTags) {
+    const existing = product.tags.map(tag => tag.toLowerCase());
+    product.tags.push(...patch.addTags.filter(tag => !existing.includes(tag.toLowerCase())));
+  }
+
+  if (patch.removeTags) {
+    const removed = patch.removeTags.map(tag => tag.toLowerCase());
+    product.tags = product.tags.filter(tag => !removed.includes(tag.toLowerCase()));
+  }
+
+  if (patch.pricePercent !== undefined) {
+    const adjust = price => Math.round(price * (100 + patch.pricePercent)) / 100;
+
+    if (product.variants.length) {
+      // The product price follows the cheapest active variant on save
+      product.variants.forEach(variant => {
+        variant.price = adjust(variant.price);
+      });
+    } else {
+      product.price = adjust(product.price);
+    }
+  }
+
+  return null;
+};
+
+// Readable form of stored values such as aerial-parts
+const humanize = (value) => value ? `${value.charAt(0).toUpperCase()}${value.slice(1).replace(/-/g, ' ')}` : '';
+const formatDate = (date) => date ? new Date(date).toISOString().slice(0, 10) : '';
+const formatPrice = (price) => typeof price === 'number' ? price.toFixed(2) : '';
+const formatPercentage = (value) => typeof value === 'number' ? `${value}%` : '';
+
+// Write the spec sheet of a localized product (populated category and certificates):
+// picture and description, botanical profile, nutritional information, certificates and variants
+const renderSpecSheet = (doc, data, image) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const specs = data.specifications || {};
+  const variants = (data.variants || []).filter(variant => variant.isActive);
+
+  doc.font(FONTS.bold).fontSize(20).fillColor(COLORS.text).text(data.name, left, doc.y, { width });
+  doc.font(FONTS.regular).fontSize(11).fillColor(COLORS.muted)
+    .text([specs.latinName, data.category && data.category.name].filter(Boolean).join('  |  '), { width });
+  doc.moveDown();
+
+  doc.font(FONTS.regular).fontSize(10).fillColor(COLORS.text);
+
+  if (image) {
+    const y = doc.y;
+    doc.image(image, left, y, { fit: [200, 200] });
+    doc.text(data.description, left + 215, y, { width: width - 215 });
+    doc.y = Math.max(doc.y, y + 200) + 10;
+    doc.x = left;
+  } else {
+    doc.text(data.description, left, doc.y, { width });
+  }
+
+  fieldSection(doc, 'Botanical profile', [
+    ['Latin name', specs.latinName],
+    ['Plant part', humanize(specs.plantPart)],
+    ['Processing form', humanize(specs.processingForm)],
+    ['Origin', data.origin],
+    ['Moisture (max)', formatPercentage(specs.moisture)],
+    ['Total ash (max)', formatPercentage(specs.ash)],
+    ['HS code', specs.hsCode],
+    ['Shelf life', specs.shelfLifeMonths && `${specs.shelfLifeMonths} months`],
+    ['Storage conditions', specs.storageConditions],
+    ['Price', variants.length ? '' : formatPrice(data.price)]
+  ]);
+
+  fieldSection(doc, 'Nutritional information', Product.NUTRITION_FIELDS.map(field => [
+    humanize(field),
+    data.nutritionalInfo && data.nutritionalInfo[field]
+  ]));
+
+  // Withdrawn (inactive) and deleted certificates are left out
+  const certificates = (data.certifications || []).filter(certificate => {
+    return certificate && !(certificate instanceof mongoose.Types.ObjectId) && certificate.isActive;
+  });
+
+  if (certificates.length) {
+    heading(doc, 'Certifications');
+    table(doc, [
+      { header: 'Certificate', width: 3 },
+      { header: 'Number', width: 2 },
+      { header: 'Issuer', width: 2 },
+      { header: 'Issued', width: 1.3 },
+      { header: 'Expires', width: 1.7 }
+    ], certificates.map(certificate => [
+      certificate.name,
+      certificate.certificateNumber,
+      certificate.issuer,
+      formatDate(certificate.issueDate),
+      certificate.isExpired ? `${formatDate(certificate.expiryDate)} (expired)` : formatDate(certificate.expiryDate)
+    ]));
+  }
+
+  if (variants.length) {
+    heading(doc, 'Available packs');
+    table(doc, [
+      { header: 'SKU', width: 2 },
+      { header: 'Pack size', width: 1.5 },
+      { header: 'Grade', width: 1.5 },
+      { header: 'Price', width: 1.2, align: 'right' },
+      { header: 'Availability', width: 1.5 }
+    ], variants.map(variant => [
+      variant.sku,
+      `${variant.weight} ${variant.unit}`,
+      humanize(variant.grade),
+      formatPrice(variant.price),
+      variant.stock > 0 ? 'In stock' : 'Out of stock'
+    ]));
+  }
+};
+
+const CATALOG_COLUMNS = [
+  { header: 'Product', width: 3 },
+  { header: 'Origin', width: 1.5 },
+  { header: 'SKU', width: 2 },
+  { header: 'Pack size', width: 1.2 },
+  { header: 'Grade', width: 1.2 },
+  { header: 'Price', width: 1, align: 'right' }
+];
+
+// Most products a catalog may list, the whole document is built in memory
+const MAX_CATALOG_PRODUCTS = 1000;
+
+// Write a catalog of localized products grouped by category, one row per active variant
+const renderCatalog = (doc, products, subtitle) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  doc.font(FONTS.bold).fontSize(20).fillColor(COLORS.text).text('Product catalog', left, doc.y, { width });
+  doc.font(FONTS.regular).fontSize(11).fillColor(COLORS.muted).text(subtitle, { width });
+  doc.moveDown();
+
+  if (!products.length) {
+    doc.font(FONTS.regular).fontSize(10).fillColor(COLORS.text).text('No products match the selected filters.');
+    return;
+  }
+
+  const groups = new Map();
+
+  products.forEach(product => {
+    const key = product.category ? String(product.category._id) : '';
+    if (!groups.has(key)) {
+      groups.set(key, { name: product.category ? product.category.name : 'Uncategorized', products: [] });
+    }
+    groups.get(key).products.push(product);
+  });
+
+  [...groups.values()]
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+    .forEach(group => {
+      heading(doc, group.name, 14);
+
+      const rows = group.products
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+        .flatMap(product => {
+          const name = [product.name, product.specifications && product.specifications.latinName].filter(Boolean).join('\n');
+          const variants = (product.variants || []).filter(variant => variant.isActive);
+
+          if (!variants.length) {
+            return [[name, product.origin, '', '', '', formatPrice(product.price)]];
+          }
+
+          return variants.map((variant, index) => [
+            index === 0 ? name : '',
+            index === 0 ? product.origin : '',
+            variant.sku,
+            `${variant.weight} ${variant.unit}`,
+            humanize(variant.grade),
+            formatPrice(variant.price)
+          ]);
+        });
+
+      table(doc, CATALOG_COLUMNS, rows);
+    });
+};
+
+// Uploaded files from both fields, primary "image" first
+const uploadedFiles = (req) => {
+  if (!req.files) return [];
+  if (Array.isArray(req.files)) return req.files;
+  return [...(req.files.image || []), ...(req.files.images || [])];
+};
+
 // @route   GET /api/products
-// @desc    Get all products with filtering and pagination
-// @access  Public
-router.get('/', async (req, res) => {
+// @desc    Get all products with filtering, sorting (sort=newest|oldest|name|-name|price|-price|relevance)
+//          and pagination. Multi-value filters (category, tags, origin, certifications) take
+//          comma separated values, minPrice/maxPrice filter the price; facets=true adds counts.
+//          Specification filters: plantPart, processingForm, hsCode (prefix), maxMoisture, maxAsh.
+// @access  Public (dashboard users with products:read also see unpublished products)
+router.get('/', optionalAuth, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
-    const { category, search, featured, inStock } = req.query;
+    const sort = req.query.sort || (req.query.search ? 'relevance' : 'newest');
 
-    // Build filter object
-    let filter = {};
-    
-    if (category && mongoose.Types.ObjectId.isValid(category)) {
-      filter.category = category;
+    if (!SORT_OPTIONS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of ${Object.keys(SORT_OPTIONS).join(', ')}`
+      });
     }
-    
-    if (featured !== undefined) {
-      filter.featured = featured === 'true';
+
+    if (sort === 'relevance' && !req.query.search) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sorting by relevance requires a search term'
+      });
     }
-    
-    if (inStock !== undefined) {
-      filter.inStock = inStock === 'true';
+
+    const filter = buildProductFilter(req);
+
+    // Get products with pagination and populate category, newest first among equal sort keys
+    const products = await Product.find(filter, sort === 'relevance' ? { score: { $meta: 'textScore' } } : undefined)
+      .populate('category', 'name slug translations')
+      .populate('certifications', CERTIFICATE_LIST_FIELDS)
+      .sort({ ...SORT_OPTIONS[sort], createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    // Get total count for pagination
+    const total = await Product.countDocuments(filter);
+
+    res.json({
+      success: true,
+      language: req.lang,
+      data: products.map(product => localizeProduct(product, req.lang)),
+      ...(req.query.facets === 'true' && { facets: await buildFacets(req) }),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching products'
+    });
+  }
+});
+
+// @route   GET /api/products/trash
+// @desc    Get deleted products waiting to be purged
+// @access  Private (products:read)
+router.get('/trash', requirePermission('products:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const filter = { deletedAt: { $ne: null } };
+
+    const products = await Product.find(filter)
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('deletedBy', 'email');
+
+    // Get total count for pagination
+    const total = await Product.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: products.map(product => ({
+        ...product.toObject(),
+        purgeAt: purgeDate(product.deletedAt)
+      })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get product trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching deleted products'
+    });
+  }
+});
+
+// @route   GET /api/products/export
+// @desc    Download every product matching the listing filters as CSV, XLSX or NDJSON
+//          (format, columns=name,price,category)
+// @access  Private (products:read)
+router.get('/export', requirePermission('products:read'), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const { columns, unknown } = selectColumns(req.query.columns, EXPORT_COLUMNS);
+
+    if (unknown.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown columns: ${unknown.join(', ')}`,
+        columns: Object.keys(EXPORT_COLUMNS)
+      });
+    }
+
+    const cursor = Product.find(buildProductFilter(req))
+      .populate('category', 'name slug')
+      .populate('certifications', 'name')
+      .sort({ createdAt: -1 })
+      .cursor();
+
+    await streamExport(res, cursor, { format, columns, available: EXPORT_COLUMNS, filename: 'products' });
+
+  } catch (error) {
+    console.error('Export products error:', error);
+
+    if (res.headersSent) {
+      return res.destroy();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting products'
+    });
+  }
+});
+
+// @route   GET /api/products/catalog
+// @desc    Download a PDF catalog of the products matching the listing filters (category=id,id),
+//          grouped by category with the price of every pack. Only published products unless
+//          a status is given. At most MAX_CATALOG_PRODUCTS products.
+// @access  Private (products:read)
+router.get('/catalog', requirePermission('products:read'), async (req, res) => {
+  try {
+    const lang = pdfLanguage(req.lang);
+    const filter = {
+      ...buildProductFilter(req),
+      ...(!req.query.status && Product.publishedFilter())
+    };
+
+    const total = await Product.countDocuments(filter);
+
+    if (total > MAX_CATALOG_PRODUCTS) {
+      return res.status(400).json({
+        success: false,
+        message: `The catalog would list ${total} products, more than the limit of ${MAX_CATALOG_PRODUCTS}. Narrow the filters, for example by category.`
+      });
+    }
+
+    const products = await Product.find(filter)
+      .populate('category', 'name slug translations')
+      .sort({ name: 1 });
+
+    const categoryIds = toList(req.query.category).filter(id => mongoose.Types.ObjectId.isValid(id));
+    const categories = categoryIds.length
+      ? await Category.find({ _id: { $in: categoryIds } }).select('name translations')
+      : [];
+    const subtitle = categories.length
+      ? categories.map(category => localize(category, Category.LOCALIZED_FIELDS, lang).name).join(', ')
+      : 'All categories';
+
+    const doc = await createDocument(res, { title: 'Product catalog', filename: 'catalog' });
+    renderCatalog(doc, products.map(product => localizeProduct(product, lang)), subtitle);
+    endDocument(doc);
+
+  } catch (error) {
+    console.error('Product catalog error:', error);
+
+    if (res.headersSent) {
+      return res.destroy();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating product catalog'
+    });
+  }
+});
+
+// @route   POST /api/products/bulk
+// @desc    Apply one patch (featured, inStock, category, addTags, removeTags, pricePercent) to the
+//          products listed in ids or matching filter (listing filters). Runs in a transaction:
+//          when any product fails nothing is changed. Needs MongoDB to run as a replica set, a
+//          standalone server answers 503. inStock is a manual override until the next stock movement.
+// @access  Private (products:update)
+router.post('/bulk', requirePermission('products:update'), async (req, res) => {
+  const { ids, filter } = req.body;
+
+  if ((ids === undefined) === (filter === undefined)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Provide either ids or filter'
+    });
+  }
+
+  if (ids !== undefined && (!Array.isArray(ids) || !ids.length || ids.some(id => !mongoose.Types.ObjectId.isValid(id)))) {
+    return res.status(400).json({
+      success: false,
+      message: 'ids must be a non-empty array of product IDs'
+    });
+  }
+
+  if (filter !== undefined && (!filter || typeof filter !== 'object' || Array.isArray(filter) || !Object.keys(filter).length)) {
+    return res.status(400).json({
+      success: false,
+      message: 'filter must be an object with at least one condition'
+    });
+  }
+
+  const unknownFilters = filter ? Object.keys(filter).filter(key => !BULK_FILTER_KEYS.includes(key)) : [];
+
+  if (unknownFilters.length) {
+    return res.status(400).json({
+      success: false,
+      message: `Unsupported filter: ${unknownFilters.join(', ')}. Supported filters are ${BULK_FILTER_KEYS.join(', ')}`
+    });
+  }
+
+  const { patch, errors } = parseBulkPatch(req.body.patch);
+
+  if (errors.length) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid patch',
+      errors
+    });
+  }
+
+  try {
+    if (patch.category && !await Category.exists({ _id: patch.category })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category not found in database'
+      });
+    }
+
+    const targetIds = ids ? [...new Set(ids.map(String))] : null;
+    const query = targetIds ? { _id: { $in: targetIds } } : buildProductFilter(req, filter);
+
+    // Filter values that select nothing (such as an empty search) would otherwise match every product
+    if (!Object.keys(query).length) {
+      return res.status(400).json({
+        success: false,
+        message: 'filter must have at least one condition with a value'
+      });
+    }
+
+    const total = await Product.countDocuments(query);
+
+    if (total > MAX_BULK_PRODUCTS || (targetIds && targetIds.length > MAX_BULK_PRODUCTS)) {
+      return res.status(400).json({
+        success: false,
+        message: `A bulk operation cannot change more than ${MAX_BULK_PRODUCTS} products`
+      });
+    }
+
+    const aborted = new Error('Bulk update aborted');
+    let results = [];
+    let changed = [];
+
+    try {
+      // The callback is retried on transient transaction errors, so it starts from scratch
+      await withTransaction(async (session) => {
+        results = [];
+        changed = [];
+
+        const products = await Product.find(query).session(session);
+        const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+        for (const id of targetIds || products.map(product => product._id.toString())) {
+          const product = byId.get(id);
+
+          if (!product) {
+            results.push({ id, success: false, message: 'Product not found' });
+            continue;
+          }
+
+          const previous = Revision.snapshotOf(product);
+          const patchError = applyBulkPatch(product, patch);
+
+          if (patchError) {
+            results.push({ id, name: product.name, success: false, message: patchError });
+            continue;
+          }
+
+          const changes = [...new Set(product.directModifiedPaths().map(path => path.split('.')[0]))];
+
+          try {
+            if (changes.length) {
+              await product.save({ session });
+              changed.push({ product, previous });
+            }
+            results.push({ id, name: product.name, success: true, changes });
+          } catch (error) {
+            if (error.name !== 'ValidationError') throw error;
+
+            results.push({
+              id,
+              name: product.name,
+              success: false,
+              message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+          }
+        }
+
+        // Throwing rolls back the products already saved
+        if (results.some(result => !result.success)) {
+          throw aborted;
+        }
+      });
+    } catch (error) {
+      if (error !== aborted) throw error;
+    }
+
+    const failed = results.filter(result => !result.success).length;
+
+    if (failed) {
+      return res.status(400).json({
+        success: false,
+        message: `Bulk update failed for ${failed} product(s), no products were changed`,
+        data: results
+      });
+    }
+
+    // Revisions are recorded once the transaction has committed
+    for (const { product, previous } of changed) {
+      await Revision.record(product, { author: req.user._id, previous });
+    }
+
+    res.json({
+      success: true,
+      message: `${changed.length} product(s) updated`,
+      data: results
+    });
+
+  } catch (error) {
+    console.error('Bulk update products error:', error);
+
+    if (error.status === 503) {
+      return res.status(503).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'The stock of this product changed meanwhile, reload it and try again'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating products'
+    });
+  }
+});
+
+// @route   GET /api/products/:id
+// @desc    Get single product
+// @access  Public (unpublished products only for dashboard users with products:read)
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id)
+      .populate('category', 'name slug translations')
+      .populate('certifications', CERTIFICATE_FIELDS);
+    
+    if (!product || (!product.isPublished && !can(req, 'products:read'))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      language: req.lang,
+      data: localizeProduct(product, req.lang),
+      ...(can(req, 'products:read') && { warnings: certificationWarnings(product) })
+    });
+
+  } catch (error) {
+    console.error('Get product error:', error);
+    
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching product'
+    });
+  }
+});
+
+// @route   GET /api/products/:id/lots
+// @desc    Get the lots of a product, newest harvest first
+// @access  Private (products:read)
+router.get('/:id/lots', requirePermission('products:read'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('name');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const lots = await Lot.find({ product: product._id })
+      .sort({ harvestDate: -1, createdAt: -1 })
+      .populate('certificates', 'name certificateNumber expiryDate');
+
+    res.json({
+      success: true,
+      data: lots
+    });
+
+  } catch (error) {
+    console.error('Get product lots error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching product lots'
+    });
+  }
+});
+
+// @route   GET /api/products/:id/spec-sheet
+// @desc    Download the specification sheet of a product as a PDF
+// @access  Private (products:read)
+router.get('/:id/spec-sheet', requirePermission('products:read'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id)
+      .populate('category', 'name slug translations')
+      .populate('certifications', CERTIFICATE_FIELDS);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const data = localizeProduct(product, pdfLanguage(req.lang));
+    const image = product.image !== PLACEHOLDER_IMAGE ? await fetchImage(product.image) : null;
+
+    const doc = await createDocument(res, {
+      title: `${data.name} specification sheet`,
+      filename: `spec-sheet-${product._id}`
+    });
+    renderSpecSheet(doc, data, image);
+    endDocument(doc);
+
+  } catch (error) {
+    console.error('Product spec sheet error:', error);
+
+    if (res.headersSent) {
+      return res.destroy();
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating product spec sheet'
+    });
+  }
+});
+
+// @route   POST /api/products
+// @desc    Create new product
+// @access  Private (products:create)
+router.post('/', requirePermission('products:create'), uploadProductImages, async (req, res) => {
+  let saved = false;
+
+  try {
+    console.log('POST /products - Request body:', req.body);
+    console.log('POST /products - Request files:', req.files);
+    
+    const { name, description, category, price, tags, origin, certifications, variants, stockQuantity, reorderThreshold, translations, specifications, nutritionalInfo } = req.body;
+    
+    // Basic validation
+    if (!name || !description || !category) {
+      await deleteImages(uploadedFiles(req).map(file => file.filename));
+      return res.status(400).json({
+        success: false,
+        message: 'Name, description, and category are required'
+      });
+    }
+    
+    // Check if category is a valid ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(category)) {
+      console.log('Invalid ObjectId format:', category);
+      await deleteImages(uploadedFiles(req).map(file => file.filename));
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category ID format'
+      });
+    }
+
+    // Validate category exists
+    try {
+      console.log('Looking for category with ID:', category);
+      const categoryExists = await Category.findById(category);
+      console.log('Category search result:', categoryExists);
+      
+      if (!categoryExists) {
+        console.log('Category not found in database');
+        await deleteImages(uploadedFiles(req).map(file => file.filename));
+        return res.status(400).json({
+          success: false,
+          message: 'Category not found in database'
+        });
+      }
+      console.log('Category validation passed');
+    } catch (error) {
+      console.log('Category validation error:', error.message);
+      await deleteImages(uploadedFiles(req).map(file => file.filename));
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category ID format: ' + error.message
+      });
+    }
+
+    // Validate variants
+    const parsedVariants = variants !== undefined ? parseVariants(variants) : { variants: [], errors: [] };
+
+    if (parsedVariants.errors.length) {
+      await deleteImages(uploadedFiles(req).map(file => file.filename));
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid variants',
+        errors: parsedVariants.errors
+      });
+    }
+
+    // Validate publishing status and schedule
+    const publishingError = validatePublishing(req.body);
+
+    if (publishingError) {
+      await deleteImages(uploadedFiles(req).map(file => file.filename));
+      return res.status(400).json({
+        success: false,
+        message: publishingError
+      });
+    }
+
+    // Validate translations
+    const parsedTranslations = translations !== undefined ? parseTranslations(translations, Product.LOCALIZED_FIELDS) : {};
+
+    if (!parsedTranslations) {
+      await deleteImages(uploadedFiles(req).map(file => file.filename));
+      return res.status(400).json({
+        success: false,
+        message: 'Translations must be an object keyed by language'
+      });
+    }
+
+    // Validate specification and nutrition profiles
+    const parsedSpecifications = specifications !== undefined ? parseProfile(specifications, Product.SPECIFICATION_FIELDS, 'Specifications') : { profile: {} };
+    const parsedNutrition = nutritionalInfo !== undefined ? parseProfile(nutritionalInfo, Product.NUTRITION_FIELDS, 'Nutritional info') : { profile: {} };
+    const profileError = parsedSpecifications.error || parsedNutrition.error;
+
+    if (profileError) {
+      await deleteImages(uploadedFiles(req).map(file => file.filename));
+      return res.status(400).json({
+        success: false,
+        message: profileError
+      });
+    }
+
+    // Validate linked certificates
+    const parsedCertifications = certifications !== undefined ? await parseCertifications(certifications) : { certifications: [] };
+
+    if (parsedCertifications.error) {
+      await deleteImages(uploadedFiles(req).map(file => file.filename));
+      return res.status(400).json({
+        success: false,
+        message: parsedCertifications.error
+      });
+    }
+
+    // Check if images were uploaded
+    const images = filesToImages(uploadedFiles(req), req.body.alt);
+    
+    console.log('File upload check - images:', images.length);
+    
+    if (!images.length) {
+      console.log('No image provided - using placeholder');
+    }
+
+    const productData = {
+      name,
+      description,
+      category,
+      image: images.length ? images[0].url : PLACEHOLDER_IMAGE,
+      images
+    };
+
+    // Add optional fields
+    if (price) productData.price = price;
+    if (tags) productData.tags = Array.isArray(tags) ? tags : tags.split(',').map(tag => tag.trim());
+    if (origin) productData.origin = origin;
+    if (parsedCertifications.certifications.length) productData.certifications = parsedCertifications.certifications;
+    if (parsedVariants.variants.length) productData.variants = parsedVariants.variants;
+    if (stockQuantity !== undefined) productData.stockQuantity = stockQuantity;
+    if (reorderThreshold !== undefined) productData.reorderThreshold = reorderThreshold;
+
+    console.log('Creating product with data:', productData);
+    
+    const product = new Product(productData);
+    applyTranslations(product, parsedTranslations);
+    applyProfile(product, 'specifications', parsedSpecifications.profile);
+    applyProfile(product, 'nutritionalInfo', parsedNutrition.profile);
+    applyPublishing(product, req.body);
+    await product.save();
+    saved = true;
+    await recordOpeningStock(product, req.user, product.variants.length ? product.variants : undefined);
+    await Revision.record(product, { author: req.user._id, action: 'create' });
+
+    // Populate the category and certificates before sending response
+    await product.populate('category', 'name slug');
+    await product.populate('certifications', CERTIFICATE_FIELDS);
+
+    console.log('Product created successfully:', product);
+
+    res.status(201).json({
+      success: true,
+      message: 'Product created successfully',
+      data: product,
+      warnings: certificationWarnings(product)
+    });
+
+  } catch (error) {
+    console.error('Create product error:', error);
+
+    // Once saved the product references the uploaded images
+    if (!saved) {
+      await deleteImages(uploadedFiles(req).map(file => file.filename));
+    }
+    
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Variant SKU already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating product: ' + error.message
+    });
+  }
+});
+
+// @route   PUT /api/products/:id
+// @desc    Update product
+// @access  Private (products:update)
+router.put('/:id', requirePermission('products:update'), uploadProductImages, async (req, res) => {
+  let saved = false;
+
+  try {
+    const product = await Product.findById(req.params.id);
+    
+    if (!product) {
+      await deleteImages(uploadedFiles(req).map(file => file.filename));
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Snapshot before the update, used as baseline for products without revision history
+    const previous = Revision.snapshotOf(product);
+
+    const { name, description, category, price, tags, origin, certifications, featured, variants, reorderThreshold, translations, specifications, nutritionalInfo } = req.body;
+
+    // Validate variants (when provided they replace the whole list)
+    const parsedVariants = variants !== undefined ? parseVariants(variants) : null;
+
+    if (parsedVariants && parsedVariants.errors.length) {
+      await deleteImages(uploadedFiles(req).map(file => file.filename));
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid variants',
+        errors: parsedVariants.errors
+      });
+    }
+
+    // Validate publishing status and schedule
+    const publishingError = validatePublishing(req.body);
+
+    if (publishingError) {
+      await deleteImages(uploadedFiles(req).map(file => file.filename));
+      return res.status(400).json({
+        success: false,
+        message: publishingError
+      });
+    }
+
+    // Validate translations
+    const parsedTranslations = translations !== undefined ? parseTranslations(translations, Product.LOCALIZED_FIELDS) : {};
+
+    if (!parsedTranslations) {
+      await deleteImages(uploadedFiles(req).map(file => file.filename));
+      return res.status(400).json({
+        success: false,
+        message: 'Translations must be an object keyed by language'
+      });
+    }
+
+    // Validate specification and nutrition profiles (provided fields are merged)
+    const parsedSpecifications = specifications !== undefined ? parseProfile(specifications, Product.SPECIFICATION_FIELDS, 'Specifications') : { profile: {} };
+    const parsedNutrition = nutritionalInfo !== undefined ? parseProfile(nutritionalInfo, Product.NUTRITION_FIELDS, 'Nutritional info') : { profile: {} };
+    const profileError = parsedSpecifications.error || parsedNutrition.error;
+
+    if (profileError) {
+      await deleteImages(uploadedFiles(req).map(file => file.filename));
+      return res.status(400).json({
+        success: false,
+        message: profileError
+      });
+    }
+
+    // Validate linked certificates
+    const parsedCertifications = certifications !== undefined ? await parseCertifications(certifications) : null;
+
+    if (parsedCertifications && parsedCertifications.error) {
+      await deleteImages(uploadedFiles(req).map(file => file.filename));
+      return res.status(400).json({
+        success: false,
+        message: parsedCertifications.error
+      });
+    }
+
+    // Validate category exists if provided
+    if (category) {
+      if (!mongoose.Types.ObjectId.isValid(category)) {
+        await deleteImages(uploadedFiles(req).map(file => file.filename));
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category ID format'
+        });
+      }
+      
+      const categoryExists = await Category.findById(category);
+      if (!categoryExists) {
+        await deleteImages(uploadedFiles(req).map(file => file.filename));
+        return res.status(400).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+    }
+
+    // Handle image update
+    product.ensureGallery();
+    const replacement = req.files && req.files.image && req.files.image[0];
+
+    if (replacement) {
+      const primary = product.primaryImage;
+
+      // A new "image" file replaces the primary image, the old one stays in
+      // Cloudinary for revision history until the product is deleted
+      if (primary) {
+        primary.url = replacement.path;
+        primary.publicId = replacement.filename;
+      } else {
+        product.images.push({ url: replacement.path, publicId: replacement.filename, isPrimary: true });
+      }
+    }
+
+    // Files in "images" are appended to the gallery
+    if (req.files && req.files.images) {
+      product.images.push(...filesToImages(req.files.images, req.body.alt));
+    }
+
+    // Update fields
+    if (name) product.name = name;
+    if (description) product.description = description;
+    if (category) product.category = category;
+    if (price !== undefined) product.price = price;
+    if (featured !== undefined) product.featured = featured === 'true';
+    if (reorderThreshold !== undefined) product.reorderThreshold = reorderThreshold;
+    applyTranslations(product, parsedTranslations);
+    applyProfile(product, 'specifications', parsedSpecifications.profile);
+    applyProfile(product, 'nutritionalInfo', parsedNutrition.profile);
+    applyPublishing(product, req.body);
+    if (tags) product.tags = Array.isArray(tags) ? tags : tags.split(',').map(tag => tag.trim());
+    if (origin) product.origin = origin;
+    if (parsedCertifications) product.certifications = parsedCertifications.certifications;
+
+    // Existing variants keep their ID and stock, stock only changes through stock movements.
+    // Stock of removed variants is written off with adjustment movements.
+    const stockBefore = stockLevels(product);
+
+    if (parsedVariants) {
+      parsedVariants.variants.forEach(variant => {
+        const existing = product.variants.find(item => item.sku === variant.sku);
+
+        if (existing) {
+          variant._id = existing._id;
+          variant.stock = existing.stock;
+        }
+      });
+
+      product.variants = parsedVariants.variants;
+      // The stock copied above must still be current when saved
+      product.increment();
+    }
+
+    await product.save();
+    saved = true;
+    await recordStockChanges(product, stockBefore, req.user, 'Variants replaced');
+    await Revision.record(product, { author: req.user._id, previous });
+
+    // Populate category and certificates
+    await product.populate('category', 'name slug');
+    await product.populate('certifications', CERTIFICATE_FIELDS);
+
+    res.json({
+      success: true,
+      message: 'Product updated successfully',
+      data: product,
+      warnings: certificationWarnings(product)
+    });
+
+  } catch (error) {
+    console.error('Update product error:', error);
+
+    // Once saved the product references the uploaded images
+    if (!saved) {
+      await deleteImages(uploadedFiles(req).map(file => file.filename));
+    }
+    
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Variant SKU already exists'
+      });
+    }
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'The stock of this product changed meanwhile, reload it and try again'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating product'
+    });
+  }
+});
+
+// @route   PUT /api/products/:id/status
+// @desc    Change the publishing status and schedule of a product
+// @access  Private (products:update)
+router.put('/:id/status', requirePermission('products:update'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const publishingError = validatePublishing(req.body);
+
+    if (publishingError) {
+      return res.status(400).json({
+        success: false,
+        message: publishingError
+      });
+    }
+
+    const previous = Revision.snapshotOf(product);
+    applyPublishing(product, req.body);
+    await product.save();
+    await Revision.record(product, { author: req.user._id, previous });
+
+    res.json({
+      success: true,
+      message: 'Product status updated successfully',
+      data: {
+        status: product.status,
+        publishAt: product.publishAt,
+        unpublishAt: product.unpublishAt,
+        publishedAt: product.publishedAt,
+        isPublished: product.isPublished
+      }
+    });
+
+  } catch (error) {
+    console.error('Update product status error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating product status'
+    });
+  }
+});
+
+// @route   PUT /api/products/:id/restore
+// @desc    Restore a deleted product from the trash
+// @access  Private (products:delete)
+router.put('/:id/restore', requirePermission('products:delete'), async (req, res) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found in trash'
+      });
+    }
+
+    // A product cannot come back into a category that is itself in the trash
+    if (!await Category.exists({ _id: product.category })) {
+      return res.status(400).json({
+        success: false,
+        message: 'The category of this product is deleted. Restore the category first.'
+      });
+    }
+
+    await product.restore();
+
+    res.json({
+      success: true,
+      message: 'Product restored successfully',
+      data: product
+    });
+
+  } catch (error) {
+    console.error('Restore product error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Another product now uses one of the variant SKUs of this product, change it before restoring'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring product'
+    });
+  }
+});
+
+// @route   DELETE /api/products/:id
+// @desc    Move product to the trash
+// @access  Private (products:delete)
+router.delete('/:id', requirePermission('products:delete'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Images and revision history are removed when the product is purged from the trash
+    await product.softDelete(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Product moved to trash'
+    });
+
+  } catch (error) {
+    console.error('Delete product error:', error);
+    
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting product'
+    });
+  }
+});
+
+// @route   POST /api/products/:id/images
+// @desc    Upload images to a product gallery
+// @access  Private (products:update)
+router.post('/:id/images', requirePermission('products:update'), uploadProduct.array('images', Product.MAX_IMAGES), async (req, res) => {
+  let saved = false;
+
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      await deleteImages(uploadedFiles(req).map(file => file.filename));
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (!uploadedFiles(req).length) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one image is required'
+      });
+    }
+
+    product.ensureGallery();
+
+    if (product.images.length + req.files.length > Product.MAX_IMAGES) {
+      await deleteImages(req.files.map(file => file.filename));
+      return res.status(400).json({
+        success: false,
+        message: `A product cannot have more than ${Product.MAX_IMAGES} images`
+      });
+    }
+
+    const previous = Revision.snapshotOf(product);
+    product.images.push(...filesToImages(req.files, req.body.alt));
+    await product.save();
+    saved = true;
+    await Revision.record(product, { author: req.user._id, previous });
+
+    res.status(201).json({
+      success: true,
+      message: 'Images added successfully',
+      data: product.images
+    });
+
+  } catch (error) {
+    console.error('Add product images error:', error);
+
+    // Once saved the product references the uploaded images
+    if (!saved) {
+      await deleteImages(uploadedFiles(req).map(file => file.filename));
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding images'
+    });
+  }
+});
+
+// @route   PUT /api/products/:id/images/order
+// @desc    Reorder a product gallery
+// @access  Private (products:update)
+router.put('/:id/images/order', requirePermission('products:update'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    product.ensureGallery();
+
+    const order = toArray(req.body.order).map(String);
+    const currentIds = product.images.map(image => image._id.toString());
+
+    // The new order must list every gallery image exactly once
+    const isPermutation = order.length === currentIds.length &&
+      new Set(order).size === order.length &&
+      order.every(id => currentIds.includes(id));
+
+    if (!isPermutation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order must contain every image ID of the gallery exactly once'
+      });
+    }
+
+    const previous = Revision.snapshotOf(product);
+    product.images = order.map(id => product.images.id(id));
+    await product.save();
+    await Revision.record(product, { author: req.user._id, previous });
+
+    res.json({
+      success: true,
+      message: 'Images reordered successfully',
+      data: product.images
+    });
+
+  } catch (error) {
+    console.error('Reorder product images error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reordering images'
+    });
+  }
+});
+
+// @route   PUT /api/products/:id/images/:imageId
+// @desc    Update alt text of a gallery image or make it the primary image
+// @access  Private (products:update)
+router.put('/:id/images/:imageId', requirePermission('products:update'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    product.ensureGallery();
+    const image = product.images.id(req.params.imageId);
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    const { alt, isPrimary } = req.body;
+    const previous = Revision.snapshotOf(product);
+
+    // Update fields
+    if (alt !== undefined) image.alt = alt;
+    if (isPrimary === true || isPrimary === 'true') {
+      product.images.forEach(item => {
+        item.isPrimary = false;
+      });
+      image.isPrimary = true;
+    }
+
+    await product.save();
+    await Revision.record(product, { author: req.user._id, previous });
+
+    res.json({
+      success: true,
+      message: 'Image updated successfully',
+      data: product.images
+    });
+
+  } catch (error) {
+    console.error('Update product image error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product or image ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating image'
+    });
+  }
+});
+
+// @route   DELETE /api/products/:id/images/:imageId
+// @desc    Remove one image from a product gallery
+// @access  Private (products:update)
+router.delete('/:id/images/:imageId', requirePermission('products:update'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    product.ensureGallery();
+    const image = product.images.id(req.params.imageId);
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    const previous = Revision.snapshotOf(product);
+    product.images.pull(image._id);
+
+    // Without any gallery image left the product falls back to the placeholder
+    if (!product.images.length) {
+      product.image = PLACEHOLDER_IMAGE;
+      product.imagePublicId = undefined;
+    }
+
+    await product.save();
+    await Revision.record(product, { author: req.user._id, previous });
+
+    // Delete image from Cloudinary once it is no longer referenced, images of earlier
+    // revisions are kept so the revision can be restored
+    const revisionImages = await Revision.imagePublicIds('Product', product._id);
+
+    if (image.publicId && !revisionImages.includes(image.publicId)) {
+      try {
+        await deleteImage(image.publicId);
+      } catch (error) {
+        console.error('Error deleting image:', error);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Image deleted successfully',
+      data: product.images
+    });
+
+  } catch (error) {
+    console.error('Delete product image error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product or image ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting image'
+    });
+  }
+});
+
+// @route   POST /api/products/:id/variants
+// @desc    Add a variant to a product
+// @access  Private (products:update)
+router.post('/:id/variants', requirePermission('products:update'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const { variants, errors } = parseVariants([req.body]);
+
+    if (!errors.length && product.variants.some(variant => variant.sku === variants[0].sku)) {
+      errors.push(`Variant 1: duplicate SKU ${variants[0].sku}`);
+    }
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid variant',
+        errors
+      });
+    }
+
+    const previous = Revision.snapshotOf(product);
+    delete variants[0]._id;
+    product.variants.push(variants[0]);
+    // stockQuantity is recomputed from the stock of the loaded variants
+    product.increment();
+    await product.save();
+
+    const variant = product.variants[product.variants.length - 1];
+    await recordOpeningStock(product, req.user, [variant]);
+    await Revision.record(product, { author: req.user._id, previous });
+
+    res.status(201).json({
+      success: true,
+      message: 'Variant added successfully',
+      data: variant
+    });
+
+  } catch (error) {
+    console.error('Add product variant error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Variant SKU already exists'
+      });
+    }
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'The stock of this product changed meanwhile, reload it and try again'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding variant'
+    });
+  }
+});
+
+// @route   PUT /api/products/:id/variants/:variantId
+// @desc    Update a product variant
+// @access  Private (products:update)
+router.put('/:id/variants/:variantId', requirePermission('products:update'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const variant = product.variants.id(req.params.variantId);
+
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
     }
-    
-    if (search) {
-      filter.$text = { $search: search };
+
+    // Validate the variant as it will be after the update, stock only changes through stock movements
+    const { variants, errors } = parseVariants([{ ...variant.toObject(), ...req.body, stock: variant.stock }]);
+    const updated = variants[0];
+
+    if (!errors.length && product.variants.some(item => item.sku === updated.sku && !item._id.equals(variant._id))) {
+      errors.push(`Variant 1: duplicate SKU ${updated.sku}`);
     }
 
-    // Get products with pagination and populate category
-    const products = await Product.find(filter)
-      .populate('category', 'name slug')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid variant',
+        errors
+      });
+    }
 
-    // Get total count for pagination
-    const total = await Product.countDocuments(filter);
+    const previous = Revision.snapshotOf(product);
+    variant.set({
+      sku: updated.sku,
+      weight: updated.weight,
+      unit: updated.unit,
+      grade: updated.grade,
+      price: updated.price,
+      reorderThreshold: updated.reorderThreshold,
+      isActive: updated.isActive
+    });
+    await product.save();
+    await Revision.record(product, { author: req.user._id, previous });
 
     res.json({
       success: true,
-      data: products,
-      pagination: {
-        current: page,
-        pages: Math.ceil(total / limit),
-        total,
-        limit
-      }
+      message: 'Variant updated successfully',
+      data: variant
     });
 
   } catch (error) {
-    console.error('Get products error:', error);
+    console.error('Update product variant error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product or variant ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Variant SKU already exists'
+      });
+    }
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'The stock of this product changed meanwhile, reload it and try again'
+      });
+    }
+
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching products'
+      message: 'Server error while updating variant'
     });
   }
 });
 
-// @route   GET /api/products/:id
-// @desc    Get single product
-// @access  Public
-router.get('/:id', async (req, res) => {
+// @route   DELETE /api/products/:id/variants/:variantId
+// @desc    Remove a variant from a product
+// @access  Private (products:update)
+router.delete('/:id/variants/:variantId', requirePermission('products:update'), async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id).populate('category', 'name slug');
-    
+    const product = await Product.findById(req.params.id);
+
     if (!product) {
       return res.status(404).json({
         success: false,
@@ -80,147 +2399,184 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    const variant = product.variants.id(req.params.variantId);
+
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+
+    const previous = Revision.snapshotOf(product);
+    const stockBefore = stockLevels(product);
+    product.variants.pull(variant._id);
+    await product.save();
+    await recordStockChanges(product, stockBefore, req.user, 'Variant removed');
+    await Revision.record(product, { author: req.user._id, previous });
+
     res.json({
       success: true,
-      data: product
+      message: 'Variant deleted successfully',
+      data: product.variants
     });
 
   } catch (error) {
-    console.error('Get product error:', error);
-    
+    console.error('Delete product variant error:', error);
+
     if (error.name === 'CastError') {
       return res.status(400).json({
         success: false,
-        message: 'Invalid product ID'
+        message: 'Invalid product or variant ID'
+      });
+    }
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'The stock of this product changed meanwhile, reload it and try again'
       });
     }
 
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching product'
+      message: 'Server error while deleting variant'
     });
   }
 });
 
-// @route   POST /api/products
-// @desc    Create new product
-// @access  Private (Admin)
-router.post('/', adminAuth, uploadProduct.single('image'), async (req, res) => {
+// @route   GET /api/products/:id/revisions
+// @desc    Get the revision history of a product
+// @access  Private (products:read)
+router.get('/:id/revisions', requirePermission('products:read'), async (req, res) => {
   try {
-    console.log('POST /products - Request body:', req.body);
-    console.log('POST /products - Request file:', req.file);
-    
-    const { name, description, category, price, tags, origin, certifications } = req.body;
-    
-    // Basic validation
-    if (!name || !description || !category) {
+    const revisions = await Revision.find({ resourceType: 'Product', resource: req.params.id })
+      .select('-snapshot')
+      .sort({ version: -1 })
+      .populate('author', 'email');
+
+    res.json({
+      success: true,
+      data: revisions
+    });
+
+  } catch (error) {
+    console.error('Get product revisions error:', error);
+
+    if (error.name === 'CastError') {
       return res.status(400).json({
         success: false,
-        message: 'Name, description, and category are required'
+        message: 'Invalid product ID'
       });
     }
-    
-    // Check if category is a valid ObjectId format
-    if (!mongoose.Types.ObjectId.isValid(category)) {
-      console.log('Invalid ObjectId format:', category);
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching product revisions'
+    });
+  }
+});
+
+// @route   GET /api/products/:id/revisions/diff
+// @desc    Compare two revisions of a product (?from=&to=, to defaults to the latest revision)
+// @access  Private (products:read)
+router.get('/:id/revisions/diff', requirePermission('products:read'), async (req, res) => {
+  try {
+    const from = parseInt(req.query.from);
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : undefined;
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid category ID format'
+        message: 'from and to must be revision numbers'
       });
     }
 
-    // Validate category exists
-    try {
-      console.log('Looking for category with ID:', category);
-      const categoryExists = await Category.findById(category);
-      console.log('Category search result:', categoryExists);
-      
-      if (!categoryExists) {
-        console.log('Category not found in database');
-        return res.status(400).json({
-          success: false,
-          message: 'Category not found in database'
-        });
-      }
-      console.log('Category validation passed');
-    } catch (error) {
-      console.log('Category validation error:', error.message);
-      return res.status(400).json({
+    const fromRevision = await Revision.findOne({ resourceType: 'Product', resource: req.params.id, version: from });
+    const toRevision = to !== undefined
+      ? await Revision.findOne({ resourceType: 'Product', resource: req.params.id, version: to })
+      : await Revision.findOne({ resourceType: 'Product', resource: req.params.id }).sort({ version: -1 });
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid category ID format: ' + error.message
+        message: 'Revision not found'
       });
     }
 
-    // Check if image was uploaded
-    let imageUrl, imagePublicId;
-    
-    console.log('File upload check - req.file:', req.file);
-    
-    if (req.file) {
-      imageUrl = req.file.path;
-      imagePublicId = req.file.filename;
-      console.log('Using uploaded file:', imageUrl);
-    } else {
-      console.log('No image provided - using placeholder');
-      imageUrl = 'https://via.placeholder.com/300x300?text=No+Image';
-      imagePublicId = null;
-    }
+    res.json({
+      success: true,
+      data: {
+        from: fromRevision.version,
+        to: toRevision.version,
+        changes: Revision.diff(fromRevision.snapshot, toRevision.snapshot)
+      }
+    });
 
-    const productData = {
-      name,
-      description,
-      category,
-      image: imageUrl,
-      imagePublicId
-    };
+  } catch (error) {
+    console.error('Diff product revisions error:', error);
 
-    // Add optional fields
-    if (price) productData.price = price;
-    if (tags) productData.tags = Array.isArray(tags) ? tags : tags.split(',').map(tag => tag.trim());
-    if (origin) productData.origin = origin;
-    if (certifications) productData.certifications = Array.isArray(certifications) ? certifications : certifications.split(',').map(cert => cert.trim());
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
 
-    console.log('Creating product with data:', productData);
-    
-    const product = new Product(productData);
-    await product.save();
+    res.status(500).json({
+      success: false,
+      message: 'Server error while comparing product revisions'
+    });
+  }
+});
 
-    // Populate the category before sending response
-    await product.populate('category', 'name slug');
+// @route   GET /api/products/:id/revisions/:version
+// @desc    Get a single revision of a product with its snapshot
+// @access  Private (products:read)
+router.get('/:id/revisions/:version', requirePermission('products:read'), async (req, res) => {
+  try {
+    const revision = await Revision.findOne({
+      resourceType: 'Product',
+      resource: req.params.id,
+      version: parseInt(req.params.version)
+    }).populate('author', 'email');
 
-    console.log('Product created successfully:', product);
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Product created successfully',
-      data: product
+      data: revision
     });
 
   } catch (error) {
-    console.error('Create product error:', error);
-    
-    if (error.name === 'ValidationError') {
+    console.error('Get product revision error:', error);
+
+    if (error.name === 'CastError') {
       return res.status(400).json({
         success: false,
-        message: 'Validation error',
-        errors: Object.values(error.errors).map(err => err.message)
+        message: 'Invalid product ID or revision number'
       });
     }
 
     res.status(500).json({
       success: false,
-      message: 'Server error while creating product: ' + error.message
+      message: 'Server error while fetching product revision'
     });
   }
 });
 
-// @route   PUT /api/products/:id
-// @desc    Update product
-// @access  Private (Admin)
-router.put('/:id', adminAuth, uploadProduct.single('image'), async (req, res) => {
+// @route   POST /api/products/:id/revisions/:version/restore
+// @desc    Restore a product to an earlier revision, including its images
+// @access  Private (products:update)
+router.post('/:id/revisions/:version/restore', requirePermission('products:update'), async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
-    
+
     if (!product) {
       return res.status(404).json({
         success: false,
@@ -228,70 +2584,58 @@ router.put('/:id', adminAuth, uploadProduct.single('image'), async (req, res) =>
       });
     }
 
-    const { name, description, category, price, tags, origin, certifications, featured, inStock } = req.body;
+    const revision = await Revision.findOne({
+      resourceType: 'Product',
+      resource: product._id,
+      version: parseInt(req.params.version)
+    });
 
-    // Validate category exists if provided
-    if (category) {
-      if (!mongoose.Types.ObjectId.isValid(category)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid category ID format'
-        });
-      }
-      
-      const categoryExists = await Category.findById(category);
-      if (!categoryExists) {
-        return res.status(400).json({
-          success: false,
-          message: 'Category not found'
-        });
-      }
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
     }
 
-    // Handle image update
-    if (req.file) {
-      // Delete old image if it exists and was uploaded to Cloudinary
-      if (product.imagePublicId) {
-        try {
-          await deleteImage(product.imagePublicId);
-        } catch (error) {
-          console.error('Error deleting old image:', error);
-        }
-      }
-      
-      product.image = req.file.path;
-      product.imagePublicId = req.file.filename;
-    }
+    // Restored variants keep their current stock, stock of variants the revision does not
+    // have is written off with adjustment movements
+    const previous = Revision.snapshotOf(product);
+    const stockBefore = stockLevels(product);
 
-    // Update fields
-    if (name) product.name = name;
-    if (description) product.description = description;
-    if (category) product.category = category;
-    if (price !== undefined) product.price = price;
-    if (featured !== undefined) product.featured = featured === 'true';
-    if (inStock !== undefined) product.inStock = inStock === 'true';
-    if (tags) product.tags = Array.isArray(tags) ? tags : tags.split(',').map(tag => tag.trim());
-    if (origin) product.origin = origin;
-    if (certifications) product.certifications = Array.isArray(certifications) ? certifications : certifications.split(',').map(cert => cert.trim());
+    Revision.applySnapshot(product, revision.snapshot);
+    product.variants.forEach(variant => {
+      variant.stock = stockBefore.has(variant.sku) ? stockBefore.get(variant.sku).quantity : 0;
+    });
 
+    // The stock copied above must still be current when saved
+    product.increment();
     await product.save();
+    await recordStockChanges(product, stockBefore, req.user, `Restored revision ${revision.version}`);
+    const restored = await Revision.record(product, {
+      author: req.user._id,
+      action: 'restore',
+      previous,
+      restoredFrom: revision.version
+    });
 
-    // Populate category
     await product.populate('category', 'name slug');
+    await product.populate('certifications', CERTIFICATE_FIELDS);
 
     res.json({
       success: true,
-      message: 'Product updated successfully',
-      data: product
+      message: `Product restored to revision ${revision.version}`,
+      data: product,
+      revision: restored.version,
+      warnings: certificationWarnings(product)
     });
 
   } catch (error) {
-    console.error('Update product error:', error);
-    
+    console.error('Restore product revision error:', error);
+
     if (error.name === 'CastError') {
       return res.status(400).json({
         success: false,
-        message: 'Invalid product ID'
+        message: 'Invalid product ID or revision number'
       });
     }
 
@@ -303,56 +2647,23 @@ router.put('/:id', adminAuth, uploadProduct.single('image'), async (req, res) =>
       });
     }
 
-    res.status(500).json({
-      success: false,
-      message: 'Server error while updating product'
-    });
-  }
-});
-
-// @route   DELETE /api/products/:id
-// @desc    Delete product
-// @access  Private (Admin)
-router.delete('/:id', adminAuth, async (req, res) => {
-  try {
-    const product = await Product.findById(req.params.id);
-    
-    if (!product) {
-      return res.status(404).json({
+    if (error.code === 11000) {
+      return res.status(400).json({
         success: false,
-        message: 'Product not found'
+        message: 'A variant SKU of this revision is now used by another product'
       });
     }
 
-    // Delete image from Cloudinary if it exists
-    if (product.imagePublicId) {
-      try {
-        await deleteImage(product.imagePublicId);
-      } catch (error) {
-        console.error('Error deleting image:', error);
-      }
-    }
-
-    await Product.findByIdAndDelete(req.params.id);
-
-    res.json({
-      success: true,
-      message: 'Product deleted successfully'
-    });
-
-  } catch (error) {
-    console.error('Delete product error:', error);
-    
-    if (error.name === 'CastError') {
-      return res.status(400).json({
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
         success: false,
-        message: 'Invalid product ID'
+        message: 'The stock of this product changed meanwhile, reload it and try again'
       });
     }
 
     res.status(500).json({
       success: false,
-      message: 'Server error while deleting product'
+      message: 'Server error while restoring product revision'
     });
   }
 });
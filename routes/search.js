@@ -0,0 +1,199 @@
+const express = require('express');
+const { validationResult, query } = require('express-validator');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Certificate = require('../models/Certificate');
+const { optionalAuth, can } = require('../middleware/auth');
+const { LANGUAGES, normalizeSearchText, searchPattern } = require('../config/i18n');
+
+const router = express.Router();
+
+const SUGGESTION_TYPES = ['product', 'tag', 'category', 'certificate'];
+
+// Documents checked per type when looking for misspelled matches
+const MAX_FUZZY_CANDIDATES = 200;
+
+// Name fields in every language
+const NAME_FIELDS = ['name', ...LANGUAGES.map(lang => `translations.${lang}.name`)];
+
+// Match a term at the start of any word, Arabic words may carry the definite article
+const wordStartRegex = (term) => new RegExp(`(?:^|[\\s\\-/(])(?:ال)?${searchPattern(term)}`, 'i');
+
+// Word starts of a normalized text with and without the Arabic definite article
+const wordStarts = (text) => {
+  const words = text.split(/[\s\-/()]+/).filter(Boolean);
+  return words.flatMap((word, index) => {
+    const start = words.slice(index).join(' ');
+    return start.startsWith('ال') ? [start, start.slice(2)] : [start];
+  });
+};
+
+// Edit distance counting adjacent transpositions as one edit
+const editDistance = (a, b) => {
+  const distances = Array.from({ length: a.length + 1 }, (row, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) distances[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return distances[a.length][b.length];
+};
+
+// Score how well a text matches the typed term, lower is better, null when it does not match.
+// Prefix matches score 0 at the start of the text and 1 at a later word, misspelled
+// prefixes score 2 plus the number of edits.
+const matchScore = (term, text) => {
+  const normalizedTerm = normalizeSearchText(term);
+  const normalizedText = normalizeSearchText(text);
+  const starts = wordStarts(normalizedText);
+
+  if (normalizedText.startsWith(normalizedTerm)) return 0;
+  if (starts.some(start => start.startsWith(normalizedTerm))) return 1;
+
+  const maxEdits = normalizedTerm.length >= 7 ? 2 : normalizedTerm.length >= 3 ? 1 : 0;
+  if (!maxEdits) return null;
+
+  const edits = Math.min(...starts.flatMap(start => [-1, 0, 1].map(delta => {
+    return editDistance(normalizedTerm, start.slice(0, normalizedTerm.length + delta));
+  })));
+
+  return edits <= maxEdits ? 2 + edits : null;
+};
+
+// Best matching name of a document in any language, or null
+const bestName = (term, doc) => {
+  const names = [doc.name, ...LANGUAGES.map(lang => doc.translations && doc.translations[lang] && doc.translations[lang].name)];
+
+  return [...new Set(names.filter(Boolean))]
+    .map(text => ({ text, score: matchScore(term, text) }))
+    .filter(match => match.score !== null)
+    .sort((a, b) => a.score - b.score)[0] || null;
+};
+
+// Candidate lookups per suggestion type for a word-start regex
+const finders = {
+  product: async (regex, limit, req) => {
+    const visibility = can(req, 'products:read') ? {} : Product.publishedFilter();
+    const products = await Product.find({ ...visibility, $or: NAME_FIELDS.map(field => ({ [field]: regex })) })
+      .select('name translations image')
+      .limit(limit)
+      .lean();
+
+    return products.map(product => ({ doc: product, suggestion: { type: 'product', id: product._id, image: product.image } }));
+  },
+  tag: async (regex, limit, req) => {
+    const visibility = can(req, 'products:read') ? {} : Product.publishedFilter();
+    const tags = await Product.aggregate([
+      { $match: { ...visibility, tags: regex } },
+      { $unwind: '$tags' },
+      { $match: { tags: regex } },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: limit }
+    ]);
+
+    return tags.map(tag => ({ doc: { name: tag._id }, suggestion: { type: 'tag', count: tag.count } }));
+  },
+  category: async (regex, limit) => {
+    const categories = await Category.find({ isActive: true, $or: NAME_FIELDS.map(field => ({ [field]: regex })) })
+      .select('name slug translations')
+      .limit(limit)
+      .lean();
+
+    return categories.map(category => ({ doc: category, suggestion: { type: 'category', id: category._id, slug: category.slug } }));
+  },
+  certificate: async (regex, limit) => {
+    const certificates = await Certificate.find({ isActive: true, $or: NAME_FIELDS.map(field => ({ [field]: regex })) })
+      .select('name translations')
+      .limit(limit)
+      .lean();
+
+    return certificates.map(certificate => ({ doc: certificate, suggestion: { type: 'certificate', id: certificate._id } }));
+  }
+};
+
+// @route   GET /api/search/autocomplete
+// @desc    Suggestions while typing (q), matching the start of words in product names, tags,
+//          category and certificate names in any language. Ignores Arabic diacritics and letter
+//          variants and falls back to misspelled matches when there are few exact ones.
+// @access  Public (dashboard users with products:read also get unpublished products)
+router.get('/autocomplete', [
+  optionalAuth,
+  query('q').trim().isLength({ min: 1, max: 100 }).withMessage('Search term must be 1 to 100 characters'),
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20'),
+  query('types').optional().custom(value => String(value).split(',').every(type => SUGGESTION_TYPES.includes(type.trim())))
+    .withMessage(`Types must be a comma separated list of ${SUGGESTION_TYPES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const term = req.query.q;
+    const limit = parseInt(req.query.limit) || 10;
+    const types = req.query.types ? [...new Set(String(req.query.types).split(',').map(type => type.trim()))] : SUGGESTION_TYPES;
+
+    if (!normalizeSearchText(term)) {
+      return res.json({ success: true, language: req.lang, data: [] });
+    }
+
+    const collect = async (regex, candidateLimit) => {
+      const results = await Promise.all(types.map(type => finders[type](regex, candidateLimit, req)));
+      return results.flat();
+    };
+
+    let candidates = await collect(wordStartRegex(term), limit);
+
+    // Few prefix matches: look for misspellings among names sharing the first letter
+    if (candidates.length < limit && normalizeSearchText(term).length >= 3) {
+      candidates = [...candidates, ...await collect(wordStartRegex(normalizeSearchText(term)[0]), MAX_FUZZY_CANDIDATES)];
+    }
+
+    const seen = new Set();
+    const suggestions = candidates
+      .map(({ doc, suggestion }) => {
+        const match = bestName(term, doc);
+        return match && { ...suggestion, text: match.text, fuzzy: match.score >= 2, score: match.score };
+      })
+      .filter(suggestion => {
+        const key = suggestion && `${suggestion.type}:${suggestion.id || normalizeSearchText(suggestion.text)}`;
+        if (!suggestion || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => a.score - b.score || a.text.length - b.text.length || a.text.localeCompare(b.text))
+      .slice(0, limit)
+      .map(({ score, ...suggestion }) => suggestion);
+
+    res.json({
+      success: true,
+      language: req.lang,
+      data: suggestions
+    });
+
+  } catch (error) {
+    console.error('Autocomplete error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching suggestions'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,10 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const TeamMember = require('../models/TeamMember');
-const { adminAuth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { textSearch, localize, parseTranslations, applyTranslations } = require('../config/i18n');
 const { uploadTeam, deleteImage, extractPublicId } = require('../config/cloudinary');
+const { purgeDate } = require('../jobs/purgeTrash');
 
 const router = express.Router();
 
@@ -42,7 +44,7 @@ router.get('/', [
     }
     
     if (search) {
-      filter.$text = { $search: search };
+      filter.$text = textSearch(search, req.lang);
     }
 
     // Get team members with pagination
@@ -56,7 +58,8 @@ router.get('/', [
 
     res.json({
       success: true,
-      data: teamMembers,
+      language: req.lang,
+      data: teamMembers.map(teamMember => localize(teamMember, TeamMember.LOCALIZED_FIELDS, req.lang)),
       pagination: {
         current: page,
         pages: Math.ceil(total / limit),
@@ -74,6 +77,48 @@ router.get('/', [
   }
 });
 
+// @route   GET /api/team/trash
+// @desc    Get deleted team members waiting to be purged
+// @access  Private (team:read)
+router.get('/trash', requirePermission('team:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const filter = { deletedAt: { $ne: null } };
+
+    const teamMembers = await TeamMember.find(filter)
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('deletedBy', 'email');
+
+    // Get total count for pagination
+    const total = await TeamMember.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: teamMembers.map(teamMember => ({
+        ...teamMember.toObject(),
+        purgeAt: purgeDate(teamMember.deletedAt)
+      })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get team member trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching deleted team members'
+    });
+  }
+});
+
 // @route   GET /api/team/:id
 // @desc    Get single team member
 // @access  Public
@@ -90,7 +135,8 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      data: teamMember
+      language: req.lang,
+      data: localize(teamMember, TeamMember.LOCALIZED_FIELDS, req.lang)
     });
 
   } catch (error) {
@@ -112,9 +158,9 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/team
 // @desc    Create new team member
-// @access  Private (Admin)
+// @access  Private (team:create)
 router.post('/', [
-  adminAuth,
+  requirePermission('team:create'),
   uploadTeam.single('image'),
   body('name')
     .trim()
@@ -145,7 +191,11 @@ router.post('/', [
     .optional()
     .trim()
     .isLength({ max: 50 })
-    .withMessage('Department cannot exceed 50 characters')
+    .withMessage('Department cannot exceed 50 characters'),
+  body('translations')
+    .optional()
+    .custom(value => Boolean(parseTranslations(value, TeamMember.LOCALIZED_FIELDS)))
+    .withMessage('Translations must be an object keyed by language')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -157,7 +207,7 @@ router.post('/', [
       });
     }
 
-    const { name, position, email, phone, whatsapp, bio, department, skills, languages, socialLinks } = req.body;
+    const { name, position, email, phone, whatsapp, bio, department, skills, languages, socialLinks, translations } = req.body;
 
     // Check if email already exists
     const existingMember = await TeamMember.findOne({ email });
@@ -201,6 +251,7 @@ router.post('/', [
     if (socialLinks) teamMemberData.socialLinks = socialLinks;
 
     const teamMember = new TeamMember(teamMemberData);
+    if (translations) applyTranslations(teamMember, parseTranslations(translations, TeamMember.LOCALIZED_FIELDS));
     await teamMember.save();
 
     res.status(201).json({
@@ -236,9 +287,9 @@ router.post('/', [
 
 // @route   PUT /api/team/:id
 // @desc    Update team member
-// @access  Private (Admin)
+// @access  Private (team:update)
 router.put('/:id', [
-  adminAuth,
+  requirePermission('team:update'),
   uploadTeam.single('image'),
   body('name')
     .optional()
@@ -274,7 +325,11 @@ router.put('/:id', [
     .optional()
     .trim()
     .isLength({ max: 50 })
-    .withMessage('Department cannot exceed 50 characters')
+    .withMessage('Department cannot exceed 50 characters'),
+  body('translations')
+    .optional()
+    .custom(value => Boolean(parseTranslations(value, TeamMember.LOCALIZED_FIELDS)))
+    .withMessage('Translations must be an object keyed by language')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -295,7 +350,7 @@ router.put('/:id', [
       });
     }
 
-    const { name, position, email, phone, whatsapp, bio, department, skills, languages, socialLinks, isActive } = req.body;
+    const { name, position, email, phone, whatsapp, bio, department, skills, languages, socialLinks, isActive, translations } = req.body;
 
     // Check if email already exists (excluding current member)
     if (email && email !== teamMember.email) {
@@ -347,6 +402,7 @@ router.put('/:id', [
     if (skills) teamMember.skills = Array.isArray(skills) ? skills : skills.split(',').map(skill => skill.trim());
     if (languages) teamMember.languages = Array.isArray(languages) ? languages : languages.split(',').map(lang => lang.trim());
     if (socialLinks) teamMember.socialLinks = socialLinks;
+    if (translations) applyTranslations(teamMember, parseTranslations(translations, TeamMember.LOCALIZED_FIELDS));
 
     await teamMember.save();
 
@@ -388,10 +444,64 @@ router.put('/:id', [
   }
 });
 
+// @route   PUT /api/team/:id/restore
+// @desc    Restore a deleted team member from the trash
+// @access  Private (team:delete)
+router.put('/:id/restore', requirePermission('team:delete'), async (req, res) => {
+  try {
+    const teamMember = await TeamMember.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!teamMember) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found in trash'
+      });
+    }
+
+    await teamMember.restore();
+
+    res.json({
+      success: true,
+      message: 'Team member restored successfully',
+      data: teamMember
+    });
+
+  } catch (error) {
+    console.error('Restore team member error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid team member ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Another team member now uses this email, change it before restoring'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring team member'
+    });
+  }
+});
+
 // @route   DELETE /api/team/:id
-// @desc    Delete team member
-// @access  Private (Admin)
-router.delete('/:id', adminAuth, async (req, res) => {
+// @desc    Move team member to the trash
+// @access  Private (team:delete)
+router.delete('/:id', requirePermission('team:delete'), async (req, res) => {
   try {
     const teamMember = await TeamMember.findById(req.params.id);
     
@@ -402,20 +512,12 @@ router.delete('/:id', adminAuth, async (req, res) => {
       });
     }
 
-    // Delete image from Cloudinary if it exists
-    if (teamMember.imagePublicId) {
-      try {
-        await deleteImage(teamMember.imagePublicId);
-      } catch (error) {
-        console.error('Error deleting image:', error);
-      }
-    }
-
-    await TeamMember.findByIdAndDelete(req.params.id);
+    // The image is removed when the team member is purged from the trash
+    await teamMember.softDelete(req.user._id);
 
     res.json({
       success: true,
-      message: 'Team member deleted successfully'
+      message: 'Team member moved to trash'
     });
 
   } catch (error) {
@@ -0,0 +1,519 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, validationResult, query } = require('express-validator');
+const User = require('../models/User');
+const { adminAuth } = require('../middleware/auth');
+const { ROLES } = require('../config/permissions');
+const { validatePassword } = require('../config/passwordPolicy');
+
+const router = express.Router();
+
+// Generate a random temporary password that satisfies the password policy
+const generateTemporaryPassword = () => {
+  let password;
+  do {
+    password = crypto.randomBytes(12).toString('base64url');
+  } while (validatePassword(password).length);
+  return password;
+};
+
+// Check whether changing this user would leave the dashboard without an active admin
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== 'admin' || !user.isActive) {
+    return false;
+  }
+
+  const activeAdmins = await User.countDocuments({ role: 'admin', isActive: true });
+  return activeAdmins <= 1;
+};
+
+// @route   GET /api/users
+// @desc    Get all dashboard users with filtering and pagination
+// @access  Private (Admin)
+router.get('/', [
+  adminAuth,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('role').optional().isIn(ROLES).withMessage('Invalid role'),
+  query('search').optional().isString().withMessage('Search term must be a single value').isLength({ max: 100 }).withMessage('Search term too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const { role, search, isActive } = req.query;
+
+    // Build filter object
+    let filter = {};
+
+    if (role) {
+      filter.role = role;
+    }
+
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+
+    if (search) {
+      filter.email = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+
+    // Get users with pagination
+    const users = await User.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    // Get total count for pagination
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: users,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching users'
+    });
+  }
+});
+
+// @route   GET /api/users/:id
+// @desc    Get single dashboard user
+// @access  Private (Admin)
+router.get('/:id', adminAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Get user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching user'
+    });
+  }
+});
+
+// @route   POST /api/users
+// @desc    Invite a new dashboard user
+// @access  Private (Admin)
+router.post('/', [
+  adminAuth,
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage('Invalid role'),
+  body('password')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Password cannot be empty')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, role, password } = req.body;
+
+    // Check if email already exists
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email already exists'
+      });
+    }
+
+    // Generate a temporary password when none was provided
+    const temporaryPassword = password ? undefined : generateTemporaryPassword();
+
+    const user = new User({
+      email,
+      role: role || 'viewer',
+      password: password || temporaryPassword
+    });
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'User invited successfully',
+      data: user,
+      ...(temporaryPassword && { temporaryPassword })
+    });
+
+  } catch (error) {
+    console.error('Invite user error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => ({ field: err.path, code: err.kind, message: err.message }))
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while inviting user'
+    });
+  }
+});
+
+// @route   PUT /api/users/:id/role
+// @desc    Change the role of a dashboard user
+// @access  Private (Admin)
+router.put('/:id/role', [
+  adminAuth,
+  body('role')
+    .isIn(ROLES)
+    .withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { role } = req.body;
+
+    if (role !== 'admin' && await isLastActiveAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the role of the last active admin'
+      });
+    }
+
+    user.role = role;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Update user role error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating user role'
+    });
+  }
+});
+
+// @route   PUT /api/users/:id/status
+// @desc    Activate or deactivate a dashboard user
+// @access  Private (Admin)
+router.put('/:id/status', [
+  adminAuth,
+  body('isActive')
+    .isBoolean()
+    .toBoolean()
+    .withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { isActive } = req.body;
+
+    if (!isActive) {
+      if (user._id.equals(req.user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot deactivate your own account'
+        });
+      }
+
+      if (await isLastActiveAdmin(user)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot deactivate the last active admin'
+        });
+      }
+    }
+
+    user.isActive = isActive;
+    await user.save();
+
+    // A deactivated user loses every open session immediately
+    if (!isActive) {
+      await user.revokeAllTokens();
+    }
+
+    res.json({
+      success: true,
+      message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Update user status error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating user status'
+    });
+  }
+});
+
+// @route   PUT /api/users/:id/unlock
+// @desc    Clear a lockout caused by failed login attempts
+// @access  Private (Admin)
+router.put('/:id/unlock', adminAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.resetLoginAttempts();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'User unlocked successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unlocking user'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/reset-password
+// @desc    Reset the password of a dashboard user
+// @access  Private (Admin)
+router.post('/:id/reset-password', [
+  adminAuth,
+  body('newPassword')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('New password cannot be empty')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { newPassword } = req.body;
+    const temporaryPassword = newPassword ? undefined : generateTemporaryPassword();
+
+    user.password = newPassword || temporaryPassword;
+    await user.save();
+    await user.revokeAllTokens();
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully',
+      ...(temporaryPassword && { temporaryPassword })
+    });
+
+  } catch (error) {
+    console.error('Reset user password error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => ({ field: err.path, code: err.kind, message: err.message }))
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id
+// @desc    Delete a dashboard user
+// @access  Private (Admin)
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete the last active admin'
+      });
+    }
+
+    await user.revokeAllTokens();
+    await User.findByIdAndDelete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting user'
+    });
+  }
+});
+
+module.exports = router;
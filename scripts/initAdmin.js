@@ -13,7 +13,7 @@ const initializeAdmin = async () => {
     console.log('Connected to MongoDB');
 
     const adminEmail = process.env.ADMIN_EMAIL || 'admin@herbs.com';
-    const adminPassword = process.env.ADMIN_PASSWORD || 'admin123';
+    const adminPassword = process.env.ADMIN_PASSWORD || 'Herbs#Dashboard1';
 
     // Check if admin already exists
     const existingAdmin = await User.findOne({ email: adminEmail });
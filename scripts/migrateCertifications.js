@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Certificate = require('../models/Certificate');
+const Revision = require('../models/Revision');
+const { LANGUAGES } = require('../config/i18n');
+require('dotenv').config();
+
+// Product certifications used to be free text. This links every name to the certificate with
+// the same name (in any language) or certificate number, in products and in their revision
+// snapshots. Names without a certificate are reported and, with --apply, removed.
+// Run without --apply first, create the missing certificates, then run it with --apply.
+const apply = process.argv.includes('--apply');
+
+const migrateCertifications = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/herbs-dashboard', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('Connected to MongoDB');
+
+    const certificates = await Certificate.find().withDeleted().select('name certificateNumber translations');
+    const lookup = new Map();
+
+    certificates.forEach(certificate => {
+      const names = [
+        certificate.name,
+        certificate.certificateNumber,
+        ...LANGUAGES.map(lang => certificate.translations && certificate.translations[lang] && certificate.translations[lang].name)
+      ];
+      names.filter(Boolean).forEach(name => lookup.set(name.trim().toLowerCase(), certificate._id));
+    });
+
+    const unmatched = new Set();
+
+    // Map a stored certifications array to certificate IDs, IDs are kept as they are
+    const link = (certifications) => {
+      const ids = certifications.map(value => {
+        if (value instanceof mongoose.Types.ObjectId) return value;
+
+        const id = lookup.get(String(value).trim().toLowerCase());
+        if (!id) unmatched.add(value);
+        return id;
+      });
+
+      return [...new Map(ids.filter(Boolean).map(id => [id.toString(), id])).values()];
+    };
+
+    // Raw collections, the strings no longer cast to the schema
+    const products = await Product.collection.find({ certifications: { $type: 'string' } }).toArray();
+
+    for (const product of products) {
+      if (apply) {
+        await Product.collection.updateOne({ _id: product._id }, { $set: { certifications: link(product.certifications) } });
+      } else {
+        link(product.certifications);
+      }
+    }
+
+    const revisions = await Revision.collection.find({
+      resourceType: 'Product',
+      'snapshot.certifications': { $type: 'string' }
+    }).toArray();
+
+    for (const revision of revisions) {
+      if (apply) {
+        await Revision.collection.updateOne({ _id: revision._id }, { $set: { 'snapshot.certifications': link(revision.snapshot.certifications) } });
+      } else {
+        link(revision.snapshot.certifications);
+      }
+    }
+
+    console.log(`${apply ? 'Linked' : 'Would link'} certifications of ${products.length} products and ${revisions.length} revisions`);
+
+    if (unmatched.size) {
+      console.log(`No certificate found for (${apply ? 'removed' : 'would be removed'}): ${[...unmatched].join(', ')}`);
+    }
+
+    if (!apply) {
+      console.log('Dry run, run with --apply to save the changes');
+    }
+
+  } catch (error) {
+    console.error('Error migrating certifications:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+// Run the migration
+migrateCertifications();
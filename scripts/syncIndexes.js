@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const models = [
+  require('../models/Product'),
+  require('../models/Category'),
+  require('../models/Certificate'),
+  require('../models/TeamMember')
+];
+
+// MongoDB allows a single text index per collection, so changed text indexes are not
+// created automatically while the old one exists. This drops indexes that are no longer
+// declared in the schemas and builds the missing ones.
+// Unique indexes only cover documents with deletedAt set to null, which documents created
+// before the trash bin existed lack, so it is filled in first.
+const syncIndexes = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/herbs-dashboard', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('Connected to MongoDB');
+
+    for (const model of models) {
+      const { modifiedCount } = await model.collection.updateMany(
+        { deletedAt: { $exists: false } },
+        { $set: { deletedAt: null } }
+      );
+      if (modifiedCount) {
+        console.log(`${model.modelName}: set deletedAt on ${modifiedCount} documents`);
+      }
+
+      const dropped = await model.syncIndexes();
+      console.log(`${model.modelName}: indexes synced${dropped.length ? `, dropped ${dropped.join(', ')}` : ''}`);
+    }
+
+    console.log('Indexes synced successfully!');
+
+  } catch (error) {
+    console.error('Error syncing indexes:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+// Run the sync
+syncIndexes();